@@ -22,186 +22,480 @@ import {
   Shield, 
   Waves, 
   Filter, 
-  Volume1 
+  Volume1,
+  Download,
+  RefreshCw
 } from './components/icons/Icons'
+import { EqualizerControls } from './components/EqualizerControls'
+import { HearingProfileControls } from './components/HearingProfileControls'
+import { EarControls } from './components/EarControls'
+import { CompressorControls } from './components/CompressorControls'
+import { DspModuleControls } from './components/DspModuleControls'
+import { NoiseProfileControls } from './components/NoiseProfileControls'
+import { SpeechFocusControls } from './components/SpeechFocusControls'
+import { DirectionalFocusControls } from './components/DirectionalFocusControls'
+import { SafetyMonitor } from './components/SafetyMonitor'
+import { FeedbackControls } from './components/FeedbackControls'
+import { RecorderControls } from './components/RecorderControls'
+import { InputSourceControls } from './components/InputSourceControls'
+import { ProgramControls } from './components/ProgramControls'
+import { DeviceControls } from './components/DeviceControls'
+import { SpectrumView } from './components/SpectrumView'
+import { CalibrationControls } from './components/CalibrationControls'
+import { LatencyPanel } from './components/LatencyPanel'
+import { SoundAlertControls } from './components/SoundAlertControls'
+import { AlertFlash } from './components/AlertFlash'
+import { CaptionsPanel } from './components/CaptionsPanel'
+import { useAudioDevices } from './hooks/useAudioDevices'
+import { useAudioEngine } from './hooks/useAudioEngine'
+import { useCaptions } from './hooks/useCaptions'
+import { usePwa } from './hooks/usePwa'
+import { isWakeLockSupported, useWakeLock } from './hooks/useWakeLock'
+import { EQ_BANDS, createDefaultEqGains } from './audio/equalizer'
+import {
+  AUDIOGRAM_FREQUENCIES,
+  clampThreshold,
+  fitAudiogram,
+  bandCompressionRatios
+} from './audio/fitting'
+import {
+  CUSTOM_WDRC_PRESET,
+  WDRC_CROSSOVERS,
+  WDRC_PRESETS
+} from './audio/compressor'
+import { toHostModules } from './audio/dspHost'
+import { mixToMono, renderOffline } from './audio/chain'
+import { TEST_SIGNALS, createSignalBuffer } from './audio/testSignals'
+import { MAX_RECORDING_SECONDS, isRecordingSupported, startRecording } from './audio/recorder'
+import {
+  createRecording,
+  deleteRecording,
+  isRecordingStorageSupported,
+  listRecordings,
+  saveRecording
+} from './settings/recordings'
+import { EARS, earOutputGain } from './audio/stereo'
+import {
+  createProgram,
+  deleteProgram,
+  renameProgram,
+  updateProgramSettings
+} from './settings/programs'
+import { loadState, saveState } from './settings/storage'
+import {
+  DEFAULT_DEVICE_ID,
+  isOutputSelectionSupported,
+  resolveDeviceId
+} from './audio/devices'
+import {
+  MIN_DB,
+  calibrationOffset,
+  createMeter,
+  measureAverageLevel,
+  measureBlock,
+  toSpl
+} from './audio/metering'
+import {
+  addDose,
+  dayKey,
+  doseIncrement,
+  outputCeiling,
+  requiredAttenuationDb,
+  safetyStatus
+} from './audio/exposure'
+import { dbToGain, gainToDb } from './audio/dsp/envelope'
+import {
+  activeNotchFrequencies,
+  applyNotches,
+  createEmptyNotches,
+  createFeedbackDetector,
+  updateNotches
+} from './audio/feedback'
+import { EVENT_INTERVAL, SOUND_EVENTS, createSoundEventDetector } from './audio/soundEvents'
+import { MAX_FOCUS_CHANNELS } from './audio/beamformer'
+import { CAPTION_BACKENDS } from './captions/backends'
+import { mentionsName } from './captions/transcript'
+import { showNotification } from './pwa/registration'
 import './App.css'
 
-const AudioLevelDisplay = React.memo(({ audioLevel, isDarkMode }) => {
+const NOISE_LEARN_DURATION = 3000
+
+const formatBalance = (balance) => {
+  if (balance === 0) return 'Center'
+  return balance < 0 ? `L ${-balance}%` : `R ${balance}%`
+}
+
+const METER_RANGE_DB = 60
+const CALIBRATION_DURATION = 3000
+
+const SILENT_READING = { rmsDb: MIN_DB, peakDb: MIN_DB, peakHoldDb: MIN_DB, clipped: false }
+const SILENT_LEVELS = { input: SILENT_READING, output: SILENT_READING }
+
+const meterPercent = (db) => Math.max(0, Math.min(100, ((db + METER_RANGE_DB) / METER_RANGE_DB) * 100))
+
+const formatDb = (db) => (db <= MIN_DB ? '-inf' : db.toFixed(1))
+
+const LevelMeterRow = ({ label, reading, splOffset, isDarkMode }) => (
+  <div className="space-y-1">
+    <div className="flex items-center justify-between">
+      <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>{label}</span>
+      <div className="flex items-center gap-2">
+        {reading.clipped && <Badge variant="destructive">CLIP</Badge>}
+        <Badge variant="outline">{formatDb(reading.rmsDb)} dBFS</Badge>
+        {splOffset !== null && reading.rmsDb > MIN_DB && (
+          <Badge variant="secondary">~{Math.round(toSpl(reading.rmsDb, splOffset))} dB SPL</Badge>
+        )}
+      </div>
+    </div>
+    <div className={`relative w-full h-4 rounded-full overflow-hidden ${isDarkMode ? 'bg-gray-800' : 'bg-gray-200'}`}>
+      <div
+        className="h-4 bg-gradient-to-r from-green-500 to-blue-500 rounded-full transition-all duration-100"
+        style={{ width: `${meterPercent(reading.rmsDb)}%` }}
+      />
+      <div
+        className={`absolute h-4 w-1 ${reading.clipped ? 'bg-red-600' : isDarkMode ? 'bg-white' : 'bg-black'}`}
+        style={{ left: `calc(${meterPercent(reading.peakHoldDb)}% - 2px)`, top: 0 }}
+        title={`Peak ${formatDb(reading.peakHoldDb)} dBFS`}
+      />
+    </div>
+  </div>
+)
+
+// Shown while Speech Focus is on; `active` is the detector's latest call
+const VoiceActivityIndicator = ({ active }) => (
+  <Badge
+    variant={active ? 'default' : 'secondary'}
+    className="text-xs"
+    title="Speech Focus voice detection"
+  >
+    {active ? 'VOICE' : 'NO VOICE'}
+  </Badge>
+)
+
+const AudioLevelDisplay = React.memo(({ levels, inputSplOffset, voiceActivity, isDarkMode }) => {
   return (
     <div className="space-y-2">
       <div className="flex items-center justify-between">
         <span className="text-sm font-medium flex items-center gap-2">
           <Waves className="w-4 h-4" />
           Audio Level
+          {voiceActivity !== null && <VoiceActivityIndicator active={voiceActivity} />}
+        </span>
+        <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          -{METER_RANGE_DB} to 0 dBFS
         </span>
-        <Badge variant="outline">{audioLevel}%</Badge>
-      </div>
-      <div className={`w-full h-4 rounded-full ${isDarkMode ? 'bg-gray-800' : 'bg-gray-200'}`}>
-        <div 
-          className="h-4 bg-gradient-to-r from-green-500 to-blue-500 rounded-full transition-all duration-100"
-          style={{ width: `${audioLevel}%` }}
-        />
       </div>
+      <LevelMeterRow label="Microphone" reading={levels.input} splOffset={inputSplOffset} isDarkMode={isDarkMode} />
+      <LevelMeterRow label="Output" reading={levels.output} splOffset={null} isDarkMode={isDarkMode} />
     </div>
   )
 })
 
+const SAVE_DELAY = 500
+// Longest a save waits for things to settle. The dose history changes every
+// DOSE_PUBLISH_INTERVAL while listening, so without this nothing would be
+// written until the page closed.
+const SAVE_MAX_WAIT = 5000
+
+// How often the output level is sampled for the noise dose and the safety
+// gain, and how often the accumulated dose and the meter reach React state
+const DOSE_INTERVAL = 250
+const DOSE_PUBLISH_INTERVAL = 1000
+// Longest gap counted as listening time, e.g. when a background tab is throttled
+const MAX_DOSE_GAP = 60
+// Safety gain pulls down fast and recovers slowly so it doesn't pump
+const SAFETY_ATTACK = 0.05
+const SAFETY_RELEASE = 2
+
+// How often the output spectrum is checked for feedback
+const FEEDBACK_INTERVAL = 100
+
+const MAX_RECENT_ALERTS = 5
+// Alert type for the user's name turning up in live captions
+const NAME_ALERT = 'name'
+const ALERT_VIBRATION = [300, 150, 300, 150, 600]
+
+const readNotificationPermission = () =>
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+
+// Shown while the engine reports an interruption (see ENGINE_EVENTS)
+const INTERRUPTION_MESSAGES = {
+  context: 'Audio was paused by the browser or system, for example when the screen locked. Trying to resume...',
+  inputMuted: 'The microphone is in use elsewhere, for example by a call. Listening continues when it is released.',
+  inputEnded: 'The microphone disconnected. Trying to reopen it...'
+}
+
+const alertLabel = (type) => (type === NAME_ALERT ? 'Someone said your name' : SOUND_EVENTS[type].label)
+
+// The scripted backend is only offered in development builds
+const CAPTION_BACKEND_OPTIONS = Object.entries(CAPTION_BACKENDS)
+  .filter(([, backend]) => backend.isSupported() && (!backend.devOnly || import.meta.env.DEV))
+  .map(([key, { label }]) => ({ key, label }))
+
+const RECORDING_TICK = 250
+// Output latency can change mid-session (e.g. a Bluetooth device connects)
+const LATENCY_POLL_INTERVAL = 1000
+
+// Offline renders always run at this rate, whatever the live context uses
+const RENDER_SAMPLE_RATE = 44100
+
+// Request microphone with optimized settings for low latency. Directional
+// focus asks for every channel the microphone has so it can beamform them;
+// otherwise the browser downmixes to one.
+const buildAudioConstraints = ({ echoCancel, noiseSuppress, autoGainControl, sampleRate, focus, deviceId }) => ({
+  audio: {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+    ...(sampleRate ? { sampleRate } : {}),
+    echoCancellation: echoCancel,
+    noiseSuppression: noiseSuppress,
+    autoGainControl: autoGainControl,
+    sampleSize: 16,
+    channelCount: focus ? { ideal: MAX_FOCUS_CHANNELS } : 1,
+    latency: 0.01, // Request 10ms latency
+    volume: 1.0
+  }
+})
+
 function App() {
-  const [isDarkMode, setIsDarkMode] = useState(true)
-  const [isActive, setIsActive] = useState(false)
-  const [micGain, setMicGain] = useState([80])
-  const [outputVolume, setOutputVolume] = useState([60])
-  const [audioLevel, setAudioLevel] = useState(0)
+  const [initialState] = useState(loadState)
+  const initialSettings = initialState.settings
+  const [isDarkMode, setIsDarkMode] = useState(initialState.isDarkMode)
+  const [micGain, setMicGain] = useState([initialSettings.micGain])
+  const [outputVolume, setOutputVolume] = useState([initialSettings.outputVolume])
+  const [levels, setLevels] = useState(SILENT_LEVELS)
+  const [meters] = useState(() => ({ input: createMeter(), output: createMeter() }))
   const [error, setError] = useState(null)
   const [isSupported, setIsSupported] = useState(true)
-  const [echoCancel, setEchoCancel] = useState(true)
-  const [noiseSuppress, setNoiseSuppress] = useState(true)
-  const [autoGainControl, setAutoGainControl] = useState(false)
-  const [latencyMode, setLatencyMode] = useState('interactive')
-
-  // Audio processing refs
-  const audioContextRef = useRef(null)
-  const streamRef = useRef(null)
-  const sourceNodeRef = useRef(null)
-  const gainNodeRef = useRef(null)
-  const outputGainRef = useRef(null)
-  const analyserRef = useRef(null)
-  const compressorRef = useRef(null)
-  const filterRef = useRef(null)
+  const [echoCancel, setEchoCancel] = useState(initialSettings.echoCancel)
+  const [noiseSuppress, setNoiseSuppress] = useState(initialSettings.noiseSuppress)
+  const [autoGainControl, setAutoGainControl] = useState(initialSettings.autoGainControl)
+  const [feedbackSuppress, setFeedbackSuppress] = useState(initialSettings.feedbackSuppress)
+  const [directionalFocus, setDirectionalFocus] = useState(initialSettings.directionalFocus)
+  const [activeNotches, setActiveNotches] = useState([])
+  const [recordings, setRecordings] = useState([])
+  const [isRecording, setIsRecording] = useState(false)
+  const [recordingElapsed, setRecordingElapsed] = useState(0)
+  const [includeRawRecording, setIncludeRawRecording] = useState(true)
+  const [inputSource, setInputSource] = useState({ type: 'microphone' })
+  const [inputFileName, setInputFileName] = useState(null)
+  const [isRendering, setIsRendering] = useState(false)
+  const [isVoiceActive, setIsVoiceActive] = useState(false)
+  const [latencyMode, setLatencyMode] = useState(initialSettings.latencyMode)
+  const [sampleRate, setSampleRate] = useState(initialSettings.sampleRate)
+  const [latencyInfo, setLatencyInfo] = useState(null)
+  // undefined until measured, null when the click wasn't heard
+  const [roundTripMs, setRoundTripMs] = useState(undefined)
+  const [isMeasuringLatency, setIsMeasuringLatency] = useState(false)
+  const [eqGains, setEqGains] = useState(initialSettings.eqGains)
+  const [earSettings, setEarSettings] = useState(initialSettings.earSettings)
+  const [balance, setBalance] = useState([initialSettings.balance])
+  const [compressorSettings, setCompressorSettings] = useState(initialSettings.compressorSettings)
+  const [dspSettings, setDspSettings] = useState(initialSettings.dspSettings)
+  const [programs, setPrograms] = useState(initialState.programs)
+  const [activeProgramId, setActiveProgramId] = useState(initialState.activeProgramId)
+  const [inputDeviceId, setInputDeviceId] = useState(initialState.devices.inputId)
+  const [outputDeviceId, setOutputDeviceId] = useState(initialState.devices.outputId)
+  const [deviceNotice, setDeviceNotice] = useState(null)
+  const [calibrations, setCalibrations] = useState(initialState.calibrations)
+  const audioDevices = useAudioDevices()
+  const pwa = usePwa()
+  const [hearingProfile, setHearingProfile] = useState(initialState.hearingProfile)
+  const [safetySettings, setSafetySettings] = useState(initialState.safety)
+  const [doseHistory, setDoseHistory] = useState(initialState.doseHistory)
+  const [alertSettings, setAlertSettings] = useState(initialState.alerts)
+  const [keepAwake, setKeepAwake] = useState(initialState.keepAwake)
+  // Off means alerts only: the input is still analysed but nothing plays
+  const [passthrough, setPassthrough] = useState(true)
+  const [activeAlert, setActiveAlert] = useState(null)
+  const [recentAlerts, setRecentAlerts] = useState([])
+  const [notificationPermission, setNotificationPermission] = useState(readNotificationPermission)
+  const [captionBackend, setCaptionBackend] = useState(CAPTION_BACKEND_OPTIONS[0]?.key ?? null)
+  const [exposure, setExposure] = useState({ levelSpl: MIN_DB, unattenuatedSpl: MIN_DB, attenuationDb: 0 })
+
+  // Loop, timer and session handles
+  const todayDoseRef = useRef(0)
+  const notchSlotsRef = useRef(createEmptyNotches())
+  const recordingRef = useRef(null)
+  const recordingTimerRef = useRef(null)
+  const fileDataRef = useRef(null)
+  const noiseLearnTimeoutRef = useRef(null)
+  const saveTimeoutRef = useRef(null)
+  const savePendingSinceRef = useRef(null)
+  const persistedStateRef = useRef(null)
   const animationFrameRef = useRef(null)
 
-  // Define cleanup function first
+  const prescription = useMemo(
+    () => fitAudiogram(hearingProfile.audiogram, hearingProfile.rule),
+    [hearingProfile.audiogram, hearingProfile.rule]
+  )
+
+  // The compressor runs before the ears split, so fitted ratios from both
+  // ears are averaged per band; null means the user's own ratios apply
+  const fittedRatios = useMemo(() => {
+    if (!hearingProfile.enabled) return null
+    const left = bandCompressionRatios(prescription.left.ratios, WDRC_CROSSOVERS)
+    const right = bandCompressionRatios(prescription.right.ratios, WDRC_CROSSOVERS)
+    return left.map((ratio, index) => Math.round((ratio + right[index]) * 5) / 10)
+  }, [hearingProfile.enabled, prescription])
+
+  const updateDenoiserParams = useCallback((params) => {
+    setDspSettings(prev => ({
+      ...prev,
+      spectralDenoiser: {
+        ...prev.spectralDenoiser,
+        params: { ...prev.spectralDenoiser.params, ...params }
+      }
+    }))
+  }, [])
+
+  const updateSpeechFocusParams = useCallback((params) => {
+    setDspSettings(prev => ({
+      ...prev,
+      speechFocus: {
+        ...prev.speechFocus,
+        params: { ...prev.speechFocus.params, ...params }
+      }
+    }))
+  }, [])
+
+  // Results reported back from modules running in the worklet
+  const handleDspMessage = useCallback((id, data) => {
+    if (id === 'spectralDenoiser' && data.noiseProfile) {
+      updateDenoiserParams({ noiseProfile: data.noiseProfile })
+    } else if (id === 'speechFocus') {
+      setIsVoiceActive(data.speech)
+    }
+  }, [updateDenoiserParams])
+
+  // Filter stages each ear runs through, for the spectrum view's EQ overlay
+  const eqStages = useMemo(() => Object.fromEntries(EARS.map(ear => [ear, [
+    { bands: EQ_BANDS, gains: eqGains[ear] },
+    ...(hearingProfile.enabled ? [{ bands: AUDIOGRAM_FREQUENCIES, gains: prescription[ear].gains }] : [])
+  ]])), [eqGains, hearingProfile.enabled, prescription])
+
+  // The engine only touches nodes whose param changed identity, so each
+  // derived value is memoized on its own inputs
+  const compressorRatios = useMemo(() => fittedRatios ?? [], [fittedRatios])
+  const dspModules = useMemo(() => toHostModules(dspSettings), [dspSettings])
+  const prescriptionGains = useMemo(() => Object.fromEntries(EARS.map(ear => [ear,
+    hearingProfile.enabled ? prescription[ear].gains : AUDIOGRAM_FREQUENCIES.map(() => 0)
+  ])), [hearingProfile.enabled, prescription])
+  const earGains = useMemo(() => Object.fromEntries(EARS.map(ear => [ear,
+    earOutputGain(earSettings[ear], ear, balance[0])
+  ])), [earSettings, balance])
+
+  // Everything the processing chain needs, in the form buildProcessingChain takes
+  const chainParams = useMemo(() => ({
+    micGain: micGain[0] / 100,
+    outputVolume: outputVolume[0] / 100,
+    highpassFrequency: noiseSuppress ? 200 : 80,
+    compressorBands: compressorSettings.bands,
+    compressorRatios,
+    dspModules,
+    prescriptionGains,
+    eqGains,
+    earGains,
+    maxOutputDb: safetySettings.maxOutputDb
+  }), [micGain, outputVolume, noiseSuppress, compressorSettings.bands, compressorRatios, dspModules, prescriptionGains, eqGains, earGains, safetySettings.maxOutputDb])
+
+  // Offline renders always use chainParams; only the live graph is muted
+  // when passthrough is off, and only a live microphone can be focused
+  const liveParams = useMemo(() => ({
+    ...chainParams,
+    ...(passthrough ? {} : { outputVolume: 0 }),
+    focusDirection: directionalFocus.enabled ? directionalFocus.direction : null
+  }), [chainParams, passthrough, directionalFocus])
+
+  const handleOutputFallback = useCallback((err) => {
+    console.error('Failed to select output device:', err)
+    setOutputDeviceId(DEFAULT_DEVICE_ID)
+    setDeviceNotice('The selected output device is unavailable, so the system default is used.')
+  }, [])
+
+  const { engine, isRunning: isActive, isDspAvailable, interruption } = useAudioEngine({
+    params: liveParams,
+    onModuleMessage: handleDspMessage,
+    onOutputFallback: handleOutputFallback
+  })
+  const isScreenKeptOn = useWakeLock(keepAwake && isActive)
+
+  // Resuming may need a user gesture, which the Resume button provides
+  const resumeAudio = useCallback(() => {
+    engine.recover().catch(err => console.error('Failed to resume audio:', err))
+  }, [engine])
+
   const cleanup = useCallback(() => {
     if (animationFrameRef.current) {
       cancelAnimationFrame(animationFrameRef.current)
       animationFrameRef.current = null
     }
-    
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop())
-      streamRef.current = null
-    }
-    
-    if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
-      audioContextRef.current.close()
-      audioContextRef.current = null
-    }
-    
-    // Clear all references
-    sourceNodeRef.current = null
-    gainNodeRef.current = null
-    outputGainRef.current = null
-    analyserRef.current = null
-    compressorRef.current = null
-    filterRef.current = null
-  }, [])
+    engine.stop()
+    notchSlotsRef.current = createEmptyNotches()
+    meters.input.reset()
+    meters.output.reset()
+  }, [engine, meters])
 
   const updateAudioLevel = useCallback(() => {
-    if (!analyserRef.current) return
-
-    const dataArray = new Uint8Array(analyserRef.current.frequencyBinCount)
-    analyserRef.current.getByteTimeDomainData(dataArray)
-    
-    // Calculate RMS for more accurate level detection
-    let sum = 0
-    for (let i = 0; i < dataArray.length; i++) {
-      const sample = (dataArray[i] - 128) / 128
-      sum += sample * sample
-    }
-    const rms = Math.sqrt(sum / dataArray.length)
-    const level = Math.round(rms * 100 * 3) // Amplify for better visibility
-    
-    setAudioLevel(Math.min(100, level))
-    animationFrameRef.current = requestAnimationFrame(updateAudioLevel)
-  }, [])
+    const analysers = engine.analysers
+    if (!analysers) return
 
-  const createOptimizedAudioChain = useCallback(async (stream) => {
-    // Create audio context with optimal settings for low latency
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)({
-      latencyHint: latencyMode,
-      sampleRate: 44100
+    // Float time-domain data keeps values above full scale, so clipping
+    // after the output gain is visible
+    const now = performance.now()
+    const read = (analyser, meter) => {
+      const buffer = new Float32Array(analyser.fftSize)
+      analyser.getFloatTimeDomainData(buffer)
+      return meter.update(measureBlock(buffer), now)
+    }
+
+    setLevels({
+      input: read(analysers.input, meters.input),
+      output: read(analysers.output, meters.output)
     })
+    animationFrameRef.current = requestAnimationFrame(updateAudioLevel)
+  }, [engine, meters])
 
-    // Resume context if needed
-    if (audioContext.state === 'suspended') {
-      await audioContext.resume()
-    }
-
-    // Create source with minimal processing delay
-    const source = audioContext.createMediaStreamSource(stream)
-    
-    // Create processing nodes
-    const inputGain = audioContext.createGain()
-    const compressor = audioContext.createDynamicsCompressor()
-    const filter = audioContext.createBiquadFilter()
-    const outputGain = audioContext.createGain()
-    const analyser = audioContext.createAnalyser()
-
-    // Configure compressor for better audio quality
-    compressor.threshold.value = -24
-    compressor.knee.value = 30
-    compressor.ratio.value = 12
-    compressor.attack.value = 0.003
-    compressor.release.value = 0.25
-
-    // Configure filter for noise reduction
-    filter.type = 'highpass'
-    filter.frequency.value = noiseSuppress ? 200 : 80
-    filter.Q.value = 1
-
-    // Configure analyser for real-time feedback
-    analyser.fftSize = 512
-    analyser.smoothingTimeConstant = 0.3
-
-    // Connect audio chain: source -> inputGain -> compressor -> filter -> analyser -> outputGain -> destination
-    source.connect(inputGain)
-    inputGain.connect(compressor)
-    compressor.connect(filter)
-    filter.connect(analyser)
-    analyser.connect(outputGain)
-    outputGain.connect(audioContext.destination)
-
-    // Set initial values
-    inputGain.gain.value = micGain[0] / 100
-    outputGain.gain.value = outputVolume[0] / 100
-
-    // Store references
-    audioContextRef.current = audioContext
-    sourceNodeRef.current = source
-    gainNodeRef.current = inputGain
-    outputGainRef.current = outputGain
-    analyserRef.current = analyser
-    compressorRef.current = compressor
-    filterRef.current = filter
-
-    return { audioContext, source, inputGain, outputGain, analyser }
-  }, [latencyMode, noiseSuppress, micGain, outputVolume])
+  // Describes the selected input for the engine: the microphone with the
+  // current processing constraints, or a file or test signal on a loop
+  const toEngineInput = useCallback((source, deviceId) => {
+    if (source.type === 'microphone') {
+      return {
+        type: 'microphone',
+        constraints: buildAudioConstraints({
+          echoCancel,
+          noiseSuppress,
+          autoGainControl,
+          sampleRate,
+          focus: directionalFocus.enabled,
+          deviceId
+        })
+      }
+    }
+    return {
+      type: 'buffer',
+      load: (audioContext) => (source.type === 'file'
+        ? audioContext.decodeAudioData(fileDataRef.current.slice(0))
+        : createSignalBuffer(audioContext, [TEST_SIGNALS[source.signal].generate(audioContext.sampleRate)]))
+    }
+  }, [echoCancel, noiseSuppress, autoGainControl, sampleRate, directionalFocus.enabled])
 
   const startAmbientSound = useCallback(async () => {
     try {
       setError(null)
-      
-      // Request microphone with optimized settings for low latency
-      const constraints = {
-        audio: {
-          echoCancellation: echoCancel,
-          noiseSuppression: noiseSuppress,
-          autoGainControl: autoGainControl,
-          sampleRate: 44100,
-          sampleSize: 16,
-          channelCount: 1,
-          latency: 0.01, // Request 10ms latency
-          volume: 1.0
-        }
-      }
 
-      const stream = await navigator.mediaDevices.getUserMedia(constraints)
-      streamRef.current = stream
+      await engine.start({
+        input: toEngineInput(inputSource, inputDeviceId),
+        params: liveParams,
+        latencyHint: latencyMode,
+        sampleRate,
+        outputDeviceId
+      })
+
+      // Device labels only become readable once permission is granted
+      if (inputSource.type === 'microphone') {
+        audioDevices.refresh()
+      }
 
-      // Create optimized audio processing chain
-      await createOptimizedAudioChain(stream)
-      
-      setIsActive(true)
       updateAudioLevel()
 
       // Update media session
@@ -210,8 +504,11 @@ function App() {
       }
       
     } catch (err) {
-      console.error('Microphone access error:', err)
-      let errorMessage = 'Microphone access failed. '
+      cleanup()
+      console.error('Input error:', err)
+      let errorMessage = inputSource.type === 'microphone'
+        ? 'Microphone access failed. '
+        : 'Could not play the selected input. '
       
       switch (err.name) {
         case 'NotAllowedError':
@@ -223,67 +520,700 @@ function App() {
         case 'NotReadableError':
           errorMessage += 'Microphone is being used by another application.'
           break
+        case 'OverconstrainedError':
+          errorMessage += 'The selected microphone is not available. Choose another input device.'
+          break
+        case 'EncodingError':
+          errorMessage += 'The audio file could not be decoded.'
+          break
         default:
           errorMessage += 'Please check your audio settings and try again.'
       }
       
       setError(errorMessage)
     }
-  }, [autoGainControl, echoCancel, noiseSuppress, createOptimizedAudioChain, updateAudioLevel])
+  }, [engine, toEngineInput, inputSource, inputDeviceId, liveParams, latencyMode, sampleRate, outputDeviceId, audioDevices.refresh, updateAudioLevel, cleanup])
+
+  // Recordings tap the final output (what the user hears) and, optionally,
+  // the untouched microphone for A/B comparison
+  const startRecordingSession = useCallback(async () => {
+    if (!engine.running || recordingRef.current) return
+
+    try {
+      const taps = { processed: { node: engine.nodes.output, channels: 2 } }
+      if (includeRawRecording) {
+        taps.raw = { node: engine.inputBus, channels: 1 }
+      }
+      recordingRef.current = await startRecording(engine.context, taps)
+    } catch (err) {
+      console.error('Failed to start recording:', err)
+      setError('Recording is not available in this browser.')
+      return
+    }
+
+    const startedAt = performance.now()
+    setRecordingElapsed(0)
+    setIsRecording(true)
+    recordingTimerRef.current = setInterval(() => {
+      setRecordingElapsed((performance.now() - startedAt) / 1000)
+    }, RECORDING_TICK)
+  }, [engine, includeRawRecording])
+
+  const finishRecording = useCallback(async () => {
+    const session = recordingRef.current
+    if (!session) return
+    recordingRef.current = null
+    clearInterval(recordingTimerRef.current)
+    setIsRecording(false)
+
+    const tracks = await session.stop()
+    if (!tracks.processed[0].length) return
+    const recording = createRecording({ sampleRate: session.sampleRate, ...tracks })
+    setRecordings(prev => [recording, ...prev])
+    saveRecording(recording).catch(err => console.error('Failed to save recording:', err))
+  }, [])
+
+  const removeRecording = useCallback((id) => {
+    setRecordings(prev => prev.filter(recording => recording.id !== id))
+    deleteRecording(id).catch(err => console.error('Failed to delete recording:', err))
+  }, [])
+
+  // Stop at the length cap rather than filling memory
+  useEffect(() => {
+    if (isRecording && recordingElapsed >= MAX_RECORDING_SECONDS) {
+      finishRecording()
+    }
+  }, [isRecording, recordingElapsed, finishRecording])
+
+  useEffect(() => {
+    if (isRecordingStorageSupported()) {
+      listRecordings().then(setRecordings)
+    }
+  }, [])
 
-  const stopAmbientSound = useCallback(() => {
+  const stopAmbientSound = useCallback(async () => {
+    // The recorder hands over its last partial chunk before the context goes
+    await finishRecording()
     cleanup()
-    setIsActive(false)
-    setAudioLevel(0)
+    setLevels(SILENT_LEVELS)
+    setExposure({ levelSpl: MIN_DB, unattenuatedSpl: MIN_DB, attenuationDb: 0 })
 
     if ('mediaSession' in navigator) {
       navigator.mediaSession.playbackState = 'paused'
     }
-  }, [cleanup])
+  }, [cleanup, finishRecording])
 
   const updateMicGain = useCallback((value) => {
     setMicGain(value)
-    if (gainNodeRef.current) {
-      gainNodeRef.current.gain.value = value[0] / 100
-    }
   }, [])
 
   const updateOutputVolume = useCallback((value) => {
     const volume = Array.isArray(value) ? value[0] : value
     setOutputVolume([volume])
-    if (outputGainRef.current) {
-      outputGainRef.current.gain.value = volume / 100
+  }, [])
+
+  const updateEqBand = useCallback((ears, index, gain) => {
+    setEqGains(prev => {
+      const next = { ...prev }
+      ears.forEach(ear => {
+        next[ear] = prev[ear].map((value, i) => (i === index ? gain : value))
+      })
+      return next
+    })
+  }, [])
+
+  const resetEq = useCallback(() => {
+    setEqGains({ left: createDefaultEqGains(), right: createDefaultEqGains() })
+  }, [])
+
+  const updateEarGain = useCallback((ear, value) => {
+    setEarSettings(prev => ({ ...prev, [ear]: { ...prev[ear], gain: value[0] } }))
+  }, [])
+
+  const toggleEarMute = useCallback((ear) => {
+    setEarSettings(prev => ({ ...prev, [ear]: { ...prev[ear], muted: !prev[ear].muted } }))
+  }, [])
+
+  const updateBalance = useCallback((value) => {
+    setBalance(value)
+  }, [])
+
+  const currentSettings = useMemo(() => ({
+    micGain: micGain[0],
+    outputVolume: outputVolume[0],
+    echoCancel,
+    noiseSuppress,
+    autoGainControl,
+    feedbackSuppress,
+    directionalFocus,
+    latencyMode,
+    sampleRate,
+    eqGains,
+    earSettings,
+    balance: balance[0],
+    compressorSettings,
+    dspSettings
+  }), [micGain, outputVolume, echoCancel, noiseSuppress, autoGainControl, feedbackSuppress, directionalFocus, latencyMode, sampleRate, eqGains, earSettings, balance, compressorSettings, dspSettings])
+
+  // Processing-constraint changes go straight to the live track so a
+  // toggle or program switch doesn't have to restart the microphone. If the
+  // browser won't change the track in place the engine crossfades to a
+  // freshly opened one instead.
+  const applyTrackConstraints = useCallback(async (settings) => {
+    if (inputSource.type !== 'microphone') return
+
+    // The whole set goes to the track, since applyConstraints replaces
+    // rather than merges. A sample rate change only applies on the next start.
+    const constraints = buildAudioConstraints({
+      ...settings,
+      sampleRate,
+      focus: directionalFocus.enabled,
+      deviceId: inputDeviceId
+    })
+    try {
+      await engine.applyConstraints(constraints.audio, { type: 'microphone', constraints })
+    } catch (err) {
+      console.error('Failed to apply audio constraints:', err)
+    }
+  }, [engine, inputSource.type, sampleRate, directionalFocus.enabled, inputDeviceId])
+
+  // Gain, EQ, ear, compressor and DSP effects pick up the new state;
+  // latency mode and sample rate only take effect the next time listening
+  // starts
+  const applySettings = useCallback((settings) => {
+    clearTimeout(noiseLearnTimeoutRef.current)
+    setMicGain([settings.micGain])
+    setOutputVolume([settings.outputVolume])
+    setEchoCancel(settings.echoCancel)
+    setNoiseSuppress(settings.noiseSuppress)
+    setAutoGainControl(settings.autoGainControl)
+    setFeedbackSuppress(settings.feedbackSuppress)
+    setDirectionalFocus(settings.directionalFocus)
+    setLatencyMode(settings.latencyMode)
+    setSampleRate(settings.sampleRate)
+    setEqGains(settings.eqGains)
+    setEarSettings(settings.earSettings)
+    setBalance([settings.balance])
+    setCompressorSettings(settings.compressorSettings)
+    setDspSettings(settings.dspSettings)
+    applyTrackConstraints(settings)
+  }, [applyTrackConstraints])
+
+  const selectProgram = useCallback((id) => {
+    const program = programs.find(item => item.id === id)
+    if (!program) return
+    setActiveProgramId(id)
+    applySettings(program.settings)
+  }, [programs, applySettings])
+
+  const createNewProgram = useCallback((name) => {
+    const program = createProgram(name, currentSettings)
+    setPrograms(prev => [...prev, program])
+    setActiveProgramId(program.id)
+  }, [currentSettings])
+
+  const renameExistingProgram = useCallback((id, name) => {
+    setPrograms(prev => renameProgram(prev, id, name))
+  }, [])
+
+  const saveProgram = useCallback((id) => {
+    setPrograms(prev => updateProgramSettings(prev, id, currentSettings))
+  }, [currentSettings])
+
+  const removeProgram = useCallback((id) => {
+    setPrograms(prev => deleteProgram(prev, id))
+    setActiveProgramId(prev => (prev === id ? null : prev))
+  }, [])
+
+  // Persist everything shortly after it settles rather than on every slider
+  // tick, but at least every SAVE_MAX_WAIT while it keeps changing
+  useEffect(() => {
+    persistedStateRef.current = {
+      isDarkMode,
+      settings: currentSettings,
+      hearingProfile,
+      programs,
+      activeProgramId,
+      devices: { inputId: inputDeviceId, outputId: outputDeviceId },
+      calibrations,
+      safety: safetySettings,
+      doseHistory,
+      alerts: alertSettings,
+      keepAwake
+    }
+    const now = Date.now()
+    if (savePendingSinceRef.current === null) {
+      savePendingSinceRef.current = now
+    }
+    const delay = Math.min(SAVE_DELAY, Math.max(0, savePendingSinceRef.current + SAVE_MAX_WAIT - now))
+    clearTimeout(saveTimeoutRef.current)
+    saveTimeoutRef.current = setTimeout(() => {
+      savePendingSinceRef.current = null
+      saveState(persistedStateRef.current)
+    }, delay)
+  }, [isDarkMode, currentSettings, hearingProfile, programs, activeProgramId, inputDeviceId, outputDeviceId, calibrations, safetySettings, doseHistory, alertSettings, keepAwake])
+
+  // Flush a pending save if the page goes away before the delay runs out.
+  // Mobile browsers may kill a hidden tab without a pagehide, so going into
+  // the background counts too.
+  useEffect(() => {
+    const flush = () => {
+      clearTimeout(saveTimeoutRef.current)
+      savePendingSinceRef.current = null
+      if (persistedStateRef.current) {
+        saveState(persistedStateRef.current)
+      }
+    }
+    const flushWhenHidden = () => {
+      if (document.visibilityState === 'hidden') flush()
+    }
+    window.addEventListener('pagehide', flush)
+    document.addEventListener('visibilitychange', flushWhenHidden)
+    return () => {
+      window.removeEventListener('pagehide', flush)
+      document.removeEventListener('visibilitychange', flushWhenHidden)
+      flush()
+    }
+  }, [])
+
+  // Swap the input under the running chain instead of rebuilding it
+  const replaceInput = useCallback((source, deviceId) =>
+    engine.setInput(toEngineInput(source, deviceId)), [engine, toEngineInput])
+
+  // Turning focus on or off changes how many channels to ask the microphone
+  // for, so it is reopened (with a crossfade) rather than adjusted in place
+  const focusEnabledRef = useRef(directionalFocus.enabled)
+  useEffect(() => {
+    if (focusEnabledRef.current === directionalFocus.enabled) return
+    focusEnabledRef.current = directionalFocus.enabled
+    if (isActive && inputSource.type === 'microphone') {
+      replaceInput(inputSource, inputDeviceId).catch(err => {
+        console.error('Failed to reopen microphone for focus:', err)
+        setError('Could not reopen the microphone with the new focus setting.')
+      })
+    }
+  }, [directionalFocus.enabled, isActive, inputSource, inputDeviceId, replaceInput])
+
+  const toggleDirectionalFocus = useCallback(() => {
+    setDirectionalFocus(prev => ({ ...prev, enabled: !prev.enabled }))
+  }, [])
+
+  const updateFocusDirection = useCallback((direction) => {
+    setDirectionalFocus(prev => ({ ...prev, direction }))
+  }, [])
+
+  const switchInputDevice = useCallback(async (deviceId) => {
+    setInputDeviceId(deviceId)
+    setDeviceNotice(null)
+    if (inputSource.type !== 'microphone') return
+
+    try {
+      await replaceInput(inputSource, deviceId)
+    } catch (err) {
+      console.error('Failed to switch input device:', err)
+      setDeviceNotice('Could not switch to that microphone. The previous input is still in use.')
+    }
+  }, [inputSource, replaceInput])
+
+  // Resolves to whether the switch happened, so callers can roll back
+  const switchInputSource = useCallback(async (source) => {
+    setError(null)
+    try {
+      await replaceInput(source, inputDeviceId)
+      setInputSource(source)
+      return true
+    } catch (err) {
+      console.error('Failed to switch input source:', err)
+      setError('Could not switch to that input. The previous input is still in use.')
+      return false
+    }
+  }, [replaceInput, inputDeviceId])
+
+  const loadInputFile = useCallback(async (file) => {
+    const previous = fileDataRef.current
+    fileDataRef.current = await file.arrayBuffer()
+    if (await switchInputSource({ type: 'file', name: file.name })) {
+      setInputFileName(file.name)
+    } else {
+      fileDataRef.current = previous
+    }
+  }, [switchInputSource])
+
+  // Renders the selected file or test signal through the current settings
+  // and keeps the result next to the recordings for A/B listening
+  const renderInputOffline = useCallback(async () => {
+    if (inputSource.type === 'microphone') return
+    setIsRendering(true)
+    setError(null)
+
+    try {
+      let channels
+      let label
+      if (inputSource.type === 'file') {
+        const decoded = await new OfflineAudioContext(1, 1, RENDER_SAMPLE_RATE).decodeAudioData(fileDataRef.current.slice(0))
+        const frames = Math.min(decoded.length, MAX_RECORDING_SECONDS * RENDER_SAMPLE_RATE)
+        channels = Array.from({ length: decoded.numberOfChannels }, (_, channel) =>
+          decoded.getChannelData(channel).slice(0, frames))
+        label = inputSource.name
+      } else {
+        channels = [TEST_SIGNALS[inputSource.signal].generate(RENDER_SAMPLE_RATE)]
+        label = TEST_SIGNALS[inputSource.signal].label
+      }
+
+      const processed = await renderOffline(channels, RENDER_SAMPLE_RATE, chainParams)
+      const recording = createRecording({
+        name: `${label} (offline render)`,
+        sampleRate: RENDER_SAMPLE_RATE,
+        processed,
+        raw: [mixToMono(channels)]
+      })
+      setRecordings(prev => [recording, ...prev])
+      saveRecording(recording).catch(err => console.error('Failed to save recording:', err))
+    } catch (err) {
+      console.error('Offline render failed:', err)
+      setError('Offline rendering failed. Check that the file is a supported audio format.')
+    } finally {
+      setIsRendering(false)
+    }
+  }, [inputSource, chainParams])
+
+  const switchOutputDevice = useCallback(async (deviceId) => {
+    setOutputDeviceId(deviceId)
+    setDeviceNotice(null)
+    try {
+      await engine.setOutputDevice(deviceId)
+    } catch (err) {
+      console.error('Failed to switch output device:', err)
+      setOutputDeviceId(DEFAULT_DEVICE_ID)
+      setDeviceNotice('Could not switch to that output. Sound is playing through the system default.')
+    }
+  }, [engine])
+
+  // Fall back to the default devices when a chosen one is unplugged
+  useEffect(() => {
+    if (!audioDevices.hasLabels) return
+
+    if (resolveDeviceId(audioDevices.inputs, inputDeviceId) !== inputDeviceId) {
+      switchInputDevice(DEFAULT_DEVICE_ID)
+      setDeviceNotice('The selected microphone was disconnected. Switched to the system default.')
+    }
+    if (resolveDeviceId(audioDevices.outputs, outputDeviceId) !== outputDeviceId) {
+      switchOutputDevice(DEFAULT_DEVICE_ID)
+      setDeviceNotice('The selected output was disconnected. Switched to the system default.')
+    }
+  }, [audioDevices, inputDeviceId, outputDeviceId, switchInputDevice, switchOutputDevice])
+
+  const inputSplOffset = calibrations[inputDeviceId] ?? null
+
+  const calibrateInput = useCallback(async (referenceSpl) => {
+    const analyser = engine.analysers?.input
+    if (!analyser) return
+    const measured = await measureAverageLevel(analyser, CALIBRATION_DURATION)
+    if (measured <= MIN_DB) return
+    setCalibrations(prev => ({ ...prev, [inputDeviceId]: calibrationOffset(referenceSpl, measured) }))
+  }, [engine, inputDeviceId])
+
+  const clearCalibration = useCallback(() => {
+    setCalibrations(prev => {
+      const next = { ...prev }
+      delete next[inputDeviceId]
+      return next
+    })
+  }, [inputDeviceId])
+
+  const todayDose = doseHistory[dayKey(new Date())] ?? 0
+  todayDoseRef.current = todayDose
+  const safetyState = safetyStatus(todayDose, exposure.unattenuatedSpl, safetySettings)
+
+  // Accumulate the noise dose from the final output and pull the level down
+  // while the daily dose or the momentary limit is exceeded
+  useEffect(() => {
+    if (!isActive) return
+
+    const buffer = new Float32Array(2048)
+    let lastTick = performance.now()
+    let lastPublish = lastTick
+    // Dose taken since it was last added to the history, and for which day
+    let pendingDose = 0
+    let pendingDay = dayKey(new Date())
+
+    const publishDose = () => {
+      if (pendingDose > 0) {
+        const day = pendingDay
+        const dose = pendingDose
+        setDoseHistory(prev => addDose(prev, day, dose))
+      }
+      pendingDose = 0
+    }
+
+    const timer = setInterval(() => {
+      const analyser = engine.analysers?.output
+      const safetyGain = engine.nodes?.safetyGain
+      if (!analyser || !safetyGain) return
+
+      const now = performance.now()
+      const seconds = Math.min(MAX_DOSE_GAP, (now - lastTick) / 1000)
+      lastTick = now
+
+      analyser.getFloatTimeDomainData(buffer)
+      const { rmsDb } = measureBlock(buffer)
+      const currentAttenuation = gainToDb(safetyGain.gain.value)
+      const levelSpl = rmsDb <= MIN_DB ? MIN_DB : toSpl(rmsDb, safetySettings.fullScaleSpl)
+      const unattenuatedSpl = levelSpl <= MIN_DB ? MIN_DB : levelSpl - currentAttenuation
+
+      const today = dayKey(new Date())
+      if (today !== pendingDay) {
+        publishDose()
+        pendingDay = today
+      }
+      if (levelSpl > MIN_DB) {
+        pendingDose += doseIncrement(levelSpl, seconds, safetySettings.standard)
+      }
+
+      const dose = todayDoseRef.current + pendingDose
+      const attenuationDb = requiredAttenuationDb(unattenuatedSpl, outputCeiling(dose, safetySettings))
+      safetyGain.gain.setTargetAtTime(
+        dbToGain(attenuationDb),
+        safetyGain.context.currentTime,
+        attenuationDb < currentAttenuation ? SAFETY_ATTACK : SAFETY_RELEASE
+      )
+
+      if (now - lastPublish >= DOSE_PUBLISH_INTERVAL) {
+        lastPublish = now
+        publishDose()
+        setExposure({ levelSpl, unattenuatedSpl, attenuationDb: currentAttenuation })
+      }
+    }, DOSE_INTERVAL)
+
+    return () => {
+      clearInterval(timer)
+      publishDose()
+    }
+  }, [engine, isActive, safetySettings])
+
+  const updateSafetySettings = useCallback((changes) => {
+    setSafetySettings(prev => ({ ...prev, ...changes }))
+  }, [])
+
+  const updateAlertSettings = useCallback((changes) => {
+    setAlertSettings(prev => ({ ...prev, ...changes }))
+  }, [])
+
+  // Notifications need permission, asked for the first time they're turned on
+  const changeAlertNotifications = useCallback(async (notify) => {
+    if (notify && readNotificationPermission() === 'default') {
+      setNotificationPermission(await Notification.requestPermission())
     }
+    setAlertSettings(prev => ({ ...prev, notify }))
+  }, [])
+
+  const dismissAlert = useCallback(() => {
+    setActiveAlert(null)
   }, [])
 
+  const fireAlert = useCallback((type) => {
+    const alert = { id: `${type}-${Date.now()}`, type, label: alertLabel(type), time: Date.now() }
+    setRecentAlerts(prev => [alert, ...prev].slice(0, MAX_RECENT_ALERTS))
+
+    if (alertSettings.flash) {
+      setActiveAlert(alert)
+    }
+    if (alertSettings.vibrate) {
+      navigator.vibrate?.(ALERT_VIBRATION)
+    }
+    if (alertSettings.notify && readNotificationPermission() === 'granted') {
+      showNotification('Sound detected', { body: alert.label, tag: type })
+        .catch(err => console.error('Failed to show notification:', err))
+    }
+  }, [alertSettings.flash, alertSettings.vibrate, alertSettings.notify])
+
+  // Classify the raw input, so alerts work whatever the processing does and
+  // even when passthrough is off
+  useEffect(() => {
+    if (!isActive || !alertSettings.enabled) return
+
+    const detector = createSoundEventDetector(alertSettings)
+    let spectrum = null
+    const timer = setInterval(() => {
+      const analyser = engine.analysers?.events
+      if (!analyser) return
+      if (!spectrum || spectrum.length !== analyser.frequencyBinCount) {
+        spectrum = new Float32Array(analyser.frequencyBinCount)
+      }
+      analyser.getFloatFrequencyData(spectrum)
+      detector.update(spectrum, analyser.context.sampleRate, performance.now()).forEach(fireAlert)
+    }, EVENT_INTERVAL)
+
+    return () => clearInterval(timer)
+  }, [engine, isActive, alertSettings, fireAlert])
+
+  const handleCaptionText = useCallback((text) => {
+    if (alertSettings.enabled && mentionsName(text, alertSettings.name)) {
+      fireAlert(NAME_ALERT)
+    }
+  }, [alertSettings.enabled, alertSettings.name, fireAlert])
+
+  const captions = useCaptions({
+    engine,
+    isActive,
+    backend: captionBackend,
+    lang: navigator.language || 'en-US',
+    onFinalText: handleCaptionText
+  })
+
+  const toggleHearingProfile = useCallback(() => {
+    setHearingProfile(prev => ({ ...prev, enabled: !prev.enabled }))
+  }, [])
+
+  const updateFittingRule = useCallback((rule) => {
+    setHearingProfile(prev => ({ ...prev, rule }))
+  }, [])
+
+  const updateThreshold = useCallback((ear, index, value) => {
+    setHearingProfile(prev => ({
+      ...prev,
+      audiogram: {
+        ...prev.audiogram,
+        [ear]: prev.audiogram[ear].map((threshold, i) => (i === index ? clampThreshold(value) : threshold))
+      }
+    }))
+  }, [])
+
+  const selectCompressorPreset = useCallback((preset) => {
+    setCompressorSettings({
+      preset,
+      bands: WDRC_PRESETS[preset].bands.map(settings => ({ ...settings }))
+    })
+  }, [])
+
+  const updateCompressorBand = useCallback((index, key, value) => {
+    setCompressorSettings(prev => ({
+      preset: CUSTOM_WDRC_PRESET,
+      bands: prev.bands.map((band, i) => (i === index ? { ...band, [key]: value } : band))
+    }))
+  }, [])
+
+  // The detector only reports changes, so start from silence each time it
+  // (re)joins the chain
+  const isSpeechFocusOn = isActive && isDspAvailable && dspSettings.speechFocus.enabled
+  useEffect(() => {
+    if (!isSpeechFocusOn) {
+      setIsVoiceActive(false)
+    }
+  }, [isSpeechFocusOn])
+
+  const toggleDspModule = useCallback((type) => {
+    setDspSettings(prev => ({ ...prev, [type]: { ...prev[type], enabled: !prev[type].enabled } }))
+  }, [])
+
+  const learnNoise = useCallback(() => {
+    setDspSettings(prev => ({
+      ...prev,
+      spectralDenoiser: {
+        enabled: true,
+        params: { ...prev.spectralDenoiser.params, learning: true }
+      }
+    }))
+    clearTimeout(noiseLearnTimeoutRef.current)
+    noiseLearnTimeoutRef.current = setTimeout(() => {
+      updateDenoiserParams({ learning: false })
+    }, NOISE_LEARN_DURATION)
+  }, [updateDenoiserParams])
+
+  const clearNoiseProfile = useCallback(() => {
+    clearTimeout(noiseLearnTimeoutRef.current)
+    setDspSettings(prev => ({
+      ...prev,
+      spectralDenoiser: {
+        enabled: false,
+        params: { ...prev.spectralDenoiser.params, learning: false, noiseProfile: null }
+      }
+    }))
+  }, [])
+
+  const updateDenoiserStrength = useCallback((strength) => {
+    updateDenoiserParams({ strength })
+  }, [updateDenoiserParams])
+
   const toggleEchoCancel = useCallback(() => {
     setEchoCancel(!echoCancel)
-    if (isActive) {
-      // Restart with new settings
-      stopAmbientSound()
-      setTimeout(startAmbientSound, 100)
-    }
-  }, [echoCancel, isActive, startAmbientSound, stopAmbientSound])
+    applyTrackConstraints({ echoCancel: !echoCancel, noiseSuppress, autoGainControl })
+  }, [echoCancel, noiseSuppress, autoGainControl, applyTrackConstraints])
 
   const toggleNoiseSuppress = useCallback(() => {
     setNoiseSuppress(!noiseSuppress)
-    if (filterRef.current) {
-      filterRef.current.frequency.value = !noiseSuppress ? 200 : 80
-    }
-    if (isActive && !noiseSuppress) {
-      // Restart for echo cancellation change
-      stopAmbientSound()
-      setTimeout(startAmbientSound, 100)
-    }
-  }, [isActive, noiseSuppress, startAmbientSound, stopAmbientSound])
+    applyTrackConstraints({ echoCancel, noiseSuppress: !noiseSuppress, autoGainControl })
+  }, [echoCancel, noiseSuppress, autoGainControl, applyTrackConstraints])
 
   const toggleAutoGain = useCallback(() => {
     setAutoGainControl(!autoGainControl)
-    if (isActive) {
-      stopAmbientSound()
-      setTimeout(startAmbientSound, 100)
+    applyTrackConstraints({ echoCancel, noiseSuppress, autoGainControl: !autoGainControl })
+  }, [echoCancel, noiseSuppress, autoGainControl, applyTrackConstraints])
+
+  const resetFeedbackNotches = useCallback(() => {
+    notchSlotsRef.current = createEmptyNotches()
+    applyNotches(engine.nodes?.notchFilters ?? [], notchSlotsRef.current)
+    setActiveNotches([])
+  }, [engine])
+
+  const toggleFeedbackSuppress = useCallback(() => {
+    setFeedbackSuppress(prev => !prev)
+  }, [])
+
+  // Poll what the browser reports for the running graph
+  useEffect(() => {
+    if (!isActive) {
+      setLatencyInfo(null)
+      return
     }
-  }, [autoGainControl, isActive, startAmbientSound, stopAmbientSound])
+
+    const read = () => setLatencyInfo(engine.latencyInfo())
+    read()
+    const timer = setInterval(read, LATENCY_POLL_INTERVAL)
+    return () => clearInterval(timer)
+  }, [engine, isActive])
+
+  const measureRoundTrip = useCallback(async () => {
+    setIsMeasuringLatency(true)
+    try {
+      setRoundTripMs(await engine.measureRoundTrip())
+    } catch (err) {
+      console.error('Loopback measurement failed:', err)
+      setRoundTripMs(null)
+    } finally {
+      setIsMeasuringLatency(false)
+    }
+  }, [engine])
+
+  // Watch the output spectrum for sustained tonal peaks and notch them out
+  useEffect(() => {
+    if (!isActive || !feedbackSuppress) {
+      resetFeedbackNotches()
+      return
+    }
+
+    const detector = createFeedbackDetector()
+    let spectrum = null
+    const timer = setInterval(() => {
+      const analyser = engine.analysers?.spectrum
+      if (!analyser) return
+      if (!spectrum || spectrum.length !== analyser.frequencyBinCount) {
+        spectrum = new Float32Array(analyser.frequencyBinCount)
+      }
+      analyser.getFloatFrequencyData(spectrum)
+
+      const now = performance.now()
+      const detections = detector.update(spectrum, analyser.context.sampleRate, now)
+      const slots = updateNotches(notchSlotsRef.current, detections, now)
+      notchSlotsRef.current = slots
+      applyNotches(engine.nodes?.notchFilters ?? [], slots)
+
+      const frequencies = activeNotchFrequencies(slots)
+      setActiveNotches(prev => (prev.join() === frequencies.join() ? prev : frequencies))
+    }, FEEDBACK_INTERVAL)
+
+    return () => clearInterval(timer)
+  }, [engine, isActive, feedbackSuppress, resetFeedbackNotches])
 
   useEffect(() => {
     // Check browser support
@@ -321,8 +1251,7 @@ function App() {
       
       navigator.mediaSession.setActionHandler('stop', () => {
         cleanup()
-        setIsActive(false)
-        setAudioLevel(0)
+        setLevels(SILENT_LEVELS)
         if ('mediaSession' in navigator) {
           navigator.mediaSession.playbackState = 'paused'
         }
@@ -332,21 +1261,16 @@ function App() {
       navigator.mediaSession.setActionHandler('seekbackward', () => {
         const newVolume = Math.max(0, outputVolume[0] - 10)
         setOutputVolume([newVolume])
-        if (outputGainRef.current) {
-          outputGainRef.current.gain.value = newVolume / 100
-        }
       })
       
       navigator.mediaSession.setActionHandler('seekforward', () => {
         const newVolume = Math.min(100, outputVolume[0] + 10)
         setOutputVolume([newVolume])
-        if (outputGainRef.current) {
-          outputGainRef.current.gain.value = newVolume / 100
-        }
       })
     }
 
     return () => {
+      clearTimeout(noiseLearnTimeoutRef.current)
       cleanup()
     }
   }, [cleanup])
@@ -389,6 +1313,7 @@ function App() {
 
   return (
     <div className={themeClasses}>
+      <AlertFlash alert={activeAlert} onDismiss={dismissAlert} />
       <div className="max-w-2xl mx-auto p-4 space-y-6">
         
         {/* Header with Theme Toggle */}
@@ -402,16 +1327,52 @@ function App() {
               </p>
             </div>
           </div>
-          <Button
-            variant="outline"
-            size="sm"
-            onClick={() => setIsDarkMode(!isDarkMode)}
-            className={`${isDarkMode ? 'border-gray-700' : 'border-gray-300'}`}
-          >
-            {isDarkMode ? <Sun className="w-4 h-4" /> : <Moon className="w-4 h-4" />}
-          </Button>
+          <div className="flex items-center gap-2">
+            {pwa.canInstall && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={pwa.install}
+                className={`gap-2 ${isDarkMode ? 'border-gray-700' : 'border-gray-300'}`}
+              >
+                <Download className="w-4 h-4" />
+                Install
+              </Button>
+            )}
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setIsDarkMode(!isDarkMode)}
+              className={`${isDarkMode ? 'border-gray-700' : 'border-gray-300'}`}
+            >
+              {isDarkMode ? <Sun className="w-4 h-4" /> : <Moon className="w-4 h-4" />}
+            </Button>
+          </div>
         </div>
 
+        {/* Update Banner */}
+        {pwa.isUpdateAvailable && (
+          <Alert className={isDarkMode ? 'border-gray-700' : 'border-gray-300'}>
+            <RefreshCw className="h-4 w-4" />
+            <AlertDescription className="flex items-center justify-between gap-3 text-sm">
+              <span>
+                {isActive
+                  ? 'A new version is ready. Stop listening to update.'
+                  : 'A new version is ready.'}
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={pwa.applyUpdate}
+                disabled={isActive}
+                className={`shrink-0 ${isDarkMode ? 'border-gray-700' : 'border-gray-300'}`}
+              >
+                Update
+              </Button>
+            </AlertDescription>
+          </Alert>
+        )}
+
         {/* Error Alert */}
         {error && (
           <Alert variant="destructive" className="border-red-500">
@@ -420,12 +1381,67 @@ function App() {
           </Alert>
         )}
 
+        {/* Device Notice */}
+        {deviceNotice && (
+          <Alert className={`border-amber-500 ${isDarkMode ? 'bg-amber-900/20' : 'bg-amber-50'}`}>
+            <AlertCircle className="h-4 w-4 text-amber-500" />
+            <AlertDescription className={`text-sm ${isDarkMode ? 'text-amber-200' : 'text-amber-800'}`}>
+              {deviceNotice}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {/* Exposure Warning */}
+        {safetyState !== 'ok' && (
+          <Alert
+            variant={safetyState === 'limiting' ? 'destructive' : undefined}
+            className={safetyState === 'limiting' ? 'border-red-500' : `border-amber-500 ${isDarkMode ? 'bg-amber-900/20' : 'bg-amber-50'}`}
+          >
+            <AlertCircle className={`h-4 w-4 ${safetyState === 'limiting' ? '' : 'text-amber-500'}`} />
+            <AlertDescription className={safetyState === 'limiting' ? '' : `text-sm ${isDarkMode ? 'text-amber-200' : 'text-amber-800'}`}>
+              {safetyState === 'limiting'
+                ? 'Output is being reduced to protect your hearing. Lower the volume or take a break.'
+                : `You have used ${Math.round(todayDose * 100)}% of today's safe listening dose, or the output is close to the momentary limit.`}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {/* Listening Programs */}
+        <Card className={cardClasses}>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Headphones className="w-5 h-5" />
+              Listening Programs
+            </CardTitle>
+            <CardDescription className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
+              Switch all settings at once for different places
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ProgramControls
+              programs={programs}
+              activeProgramId={activeProgramId}
+              onSelect={selectProgram}
+              onCreate={createNewProgram}
+              onRename={renameExistingProgram}
+              onDelete={removeProgram}
+              onSave={saveProgram}
+              isDarkMode={isDarkMode}
+            />
+          </CardContent>
+        </Card>
+
         {/* Main Control Panel */}
         <Card className={cardClasses}>
           <CardHeader>
             <CardTitle className="flex items-center justify-between">
               <div className="flex items-center gap-2">
-                {isActive ? (
+                {isActive && interruption ? (
+                  <>
+                    <MicOff className="w-5 h-5 text-amber-500" />
+                    <span className="text-amber-500">PAUSED</span>
+                  </>
+                ) : isActive ? (
                   <>
                     <div className="relative">
                       <Mic className="w-5 h-5 text-green-500" />
@@ -440,8 +1456,8 @@ function App() {
                   </>
                 )}
               </div>
-              <Badge variant={isActive ? "default" : "secondary"} className="text-xs">
-                {isActive ? 'LISTENING' : 'STOPPED'}
+              <Badge variant={isActive && interruption ? "destructive" : isActive ? "default" : "secondary"} className="text-xs">
+                {isActive && interruption ? 'INTERRUPTED' : isActive ? 'LISTENING' : 'STOPPED'}
               </Badge>
             </CardTitle>
           </CardHeader>
@@ -450,7 +1466,31 @@ function App() {
             
             {/* Audio Level Display */}
             {isActive && (
-              <AudioLevelDisplay audioLevel={audioLevel} isDarkMode={isDarkMode} />
+              <div className="space-y-2">
+                <AudioLevelDisplay
+                  levels={levels}
+                  inputSplOffset={inputSplOffset}
+                  voiceActivity={isSpeechFocusOn ? isVoiceActive : null}
+                  isDarkMode={isDarkMode}
+                />
+                <CalibrationControls
+                  offset={inputSplOffset}
+                  onCalibrate={calibrateInput}
+                  onClear={clearCalibration}
+                  isDarkMode={isDarkMode}
+                />
+              </div>
+            )}
+
+            {/* Spectrum / Spectrogram */}
+            {isActive && (
+              <SpectrumView
+                analyser={engine.analysers?.spectrum}
+                isActive={isActive}
+                eqStages={eqStages}
+                sampleRate={engine.context?.sampleRate ?? 44100}
+                isDarkMode={isDarkMode}
+              />
             )}
 
             {/* Volume Controls */}
@@ -496,11 +1536,50 @@ function App() {
                 <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
                   Controls the volume of sound played through your headphones
                 </p>
+
+                {/* Balance */}
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium">Balance</span>
+                  <Badge variant="secondary">{formatBalance(balance[0])}</Badge>
+                </div>
+                <Slider
+                  value={balance}
+                  onValueChange={updateBalance}
+                  min={-100}
+                  max={100}
+                  step={5}
+                  className="w-full"
+                />
               </div>
             </div>
 
             <Separator className={isDarkMode ? 'bg-gray-800' : 'bg-gray-200'} />
 
+            {/* Input Source */}
+            <InputSourceControls
+              source={inputSource}
+              fileName={inputFileName}
+              isRendering={isRendering}
+              onSourceChange={switchInputSource}
+              onFileChange={loadInputFile}
+              onRender={renderInputOffline}
+              isDarkMode={isDarkMode}
+            />
+
+            {/* Device Selection */}
+            <DeviceControls
+              inputs={audioDevices.inputs}
+              outputs={audioDevices.outputs}
+              inputDeviceId={inputDeviceId}
+              outputDeviceId={outputDeviceId}
+              canSelectOutput={isOutputSelectionSupported()}
+              onInputChange={switchInputDevice}
+              onOutputChange={switchOutputDevice}
+              isDarkMode={isDarkMode}
+            />
+
+            <Separator className={isDarkMode ? 'bg-gray-800' : 'bg-gray-200'} />
+
             {/* Audio Processing Controls */}
             <div className="space-y-4">
               <h3 className="font-medium flex items-center gap-2">
@@ -528,19 +1607,106 @@ function App() {
                 </div>
 
                 {/* Noise Suppression */}
-                <div className="flex items-center justify-between p-3 rounded-lg border border-gray-200 dark:border-gray-800">
-                  <div className="flex items-center gap-3">
-                    <Waves className="w-4 h-4 text-green-500" />
-                    <div>
-                      <span className="font-medium text-sm">Noise Suppression</span>
-                      <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                        Reduces background noise and hum
-                      </p>
+                <div className="p-3 rounded-lg border border-gray-200 dark:border-gray-800 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                      <Waves className="w-4 h-4 text-green-500" />
+                      <div>
+                        <span className="font-medium text-sm">Noise Suppression</span>
+                        <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                          Reduces background noise and hum
+                        </p>
+                      </div>
                     </div>
+                    <Switch
+                      checked={noiseSuppress}
+                      onCheckedChange={toggleNoiseSuppress}
+                    />
                   </div>
-                  <Switch
-                    checked={noiseSuppress}
-                    onCheckedChange={toggleNoiseSuppress}
+                  <NoiseProfileControls
+                    settings={dspSettings.spectralDenoiser}
+                    canLearn={isActive && isDspAvailable}
+                    onLearn={learnNoise}
+                    onClear={clearNoiseProfile}
+                    onStrengthChange={updateDenoiserStrength}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
+
+                {/* Speech Focus */}
+                <div className="space-y-3 p-3 rounded-lg border border-gray-200 dark:border-gray-800">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                      <Mic className="w-4 h-4 text-amber-500" />
+                      <div>
+                        <span className="font-medium text-sm">Speech Focus</span>
+                        <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                          {isDspAvailable
+                            ? 'Brings voices forward in conversation'
+                            : 'Not available in this browser (requires AudioWorklet)'}
+                        </p>
+                      </div>
+                    </div>
+                    <Switch
+                      checked={dspSettings.speechFocus.enabled}
+                      onCheckedChange={() => toggleDspModule('speechFocus')}
+                      disabled={!isDspAvailable}
+                    />
+                  </div>
+                  <SpeechFocusControls
+                    settings={dspSettings.speechFocus}
+                    onParamsChange={updateSpeechFocusParams}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
+
+                {/* Directional Focus */}
+                <div className="space-y-3 p-3 rounded-lg border border-gray-200 dark:border-gray-800">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                      <Headphones className="w-4 h-4 text-green-500" />
+                      <div>
+                        <span className="font-medium text-sm">Focus Front</span>
+                        <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                          Favours sound from the direction you choose
+                        </p>
+                      </div>
+                    </div>
+                    <Switch
+                      checked={directionalFocus.enabled}
+                      onCheckedChange={toggleDirectionalFocus}
+                    />
+                  </div>
+                  <DirectionalFocusControls
+                    settings={directionalFocus}
+                    channelCount={inputSource.type === 'microphone' ? latencyInfo?.track?.channelCount ?? null : null}
+                    onDirectionChange={updateFocusDirection}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
+
+                {/* Feedback Suppression */}
+                <div className="space-y-3 p-3 rounded-lg border border-gray-200 dark:border-gray-800">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                      <Zap className="w-4 h-4 text-red-500" />
+                      <div>
+                        <span className="font-medium text-sm">Feedback Suppression</span>
+                        <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                          Detects howling and notches it out
+                        </p>
+                      </div>
+                    </div>
+                    <Switch
+                      checked={feedbackSuppress}
+                      onCheckedChange={toggleFeedbackSuppress}
+                    />
+                  </div>
+                  <FeedbackControls
+                    notches={activeNotches}
+                    enabled={feedbackSuppress && isActive}
+                    onReset={resetFeedbackNotches}
+                    isDarkMode={isDarkMode}
                   />
                 </div>
 
@@ -560,11 +1726,84 @@ function App() {
                     onCheckedChange={toggleAutoGain}
                   />
                 </div>
+
+                {/* Per-Ear Controls */}
+                <div className="p-3 rounded-lg border border-gray-200 dark:border-gray-800">
+                  <EarControls
+                    settings={earSettings}
+                    onGainChange={updateEarGain}
+                    onMuteToggle={toggleEarMute}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
+
+                {/* Hearing Profile */}
+                <div className="p-3 rounded-lg border border-gray-200 dark:border-gray-800">
+                  <HearingProfileControls
+                    profile={hearingProfile}
+                    prescription={prescription}
+                    onToggle={toggleHearingProfile}
+                    onRuleChange={updateFittingRule}
+                    onThresholdChange={updateThreshold}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
+
+                {/* Multi-band Compression */}
+                <div className="p-3 rounded-lg border border-gray-200 dark:border-gray-800">
+                  <CompressorControls
+                    settings={compressorSettings}
+                    ratioOverrides={fittedRatios}
+                    onPresetChange={selectCompressorPreset}
+                    onBandChange={updateCompressorBand}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
+
+                {/* Sample-level DSP */}
+                <div className="p-3 rounded-lg border border-gray-200 dark:border-gray-800">
+                  <DspModuleControls
+                    settings={dspSettings}
+                    isAvailable={isDspAvailable}
+                    onToggle={toggleDspModule}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
+
+                {/* Equalizer */}
+                <div className="p-3 rounded-lg border border-gray-200 dark:border-gray-800">
+                  <EqualizerControls
+                    gains={eqGains}
+                    onBandChange={updateEqBand}
+                    onReset={resetEq}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
               </div>
             </div>
 
             <Separator className={isDarkMode ? 'bg-gray-800' : 'bg-gray-200'} />
 
+            {/* Interruption Notice */}
+            {isActive && interruption && (
+              <Alert className={`border-amber-500 ${isDarkMode ? 'bg-amber-900/20' : 'bg-amber-50'}`}>
+                <AlertCircle className="h-4 w-4 text-amber-500" />
+                <AlertDescription className={`flex items-center justify-between gap-3 text-sm ${isDarkMode ? 'text-amber-200' : 'text-amber-800'}`}>
+                  <span>{INTERRUPTION_MESSAGES[interruption]}</span>
+                  {interruption !== 'inputMuted' && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={resumeAudio}
+                      className="shrink-0 border-amber-500"
+                    >
+                      Resume
+                    </Button>
+                  )}
+                </AlertDescription>
+              </Alert>
+            )}
+
             {/* Main Control Button */}
             <Button
               onClick={isActive ? stopAmbientSound : startAmbientSound}
@@ -586,6 +1825,111 @@ function App() {
                 </>
               )}
             </Button>
+
+            {/* Keep Screen On */}
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <Sun className="w-4 h-4" />
+                <div>
+                  <span className="font-medium text-sm">Keep Screen On</span>
+                  <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    {!isWakeLockSupported()
+                      ? 'Not supported in this browser, so listening may stop when the screen locks'
+                      : isScreenKeptOn
+                        ? 'The screen stays on while listening'
+                        : 'Stops the screen locking while listening, which would pause audio on most phones'}
+                  </p>
+                </div>
+              </div>
+              <Switch
+                checked={keepAwake}
+                onCheckedChange={setKeepAwake}
+                disabled={!isWakeLockSupported()}
+              />
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Sound Alerts */}
+        <Card className={cardClasses}>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <AlertCircle className="w-5 h-5" />
+              Sound Alerts
+            </CardTitle>
+            <CardDescription className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
+              Flashes, vibrates or notifies you when it hears an alarm, doorbell or crying
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <SoundAlertControls
+              settings={alertSettings}
+              onSettingsChange={updateAlertSettings}
+              onNotifyChange={changeAlertNotifications}
+              notificationPermission={notificationPermission}
+              canVibrate={typeof navigator !== 'undefined' && 'vibrate' in navigator}
+              passthrough={passthrough}
+              onPassthroughChange={setPassthrough}
+              recent={recentAlerts}
+              isActive={isActive}
+              isDarkMode={isDarkMode}
+            />
+          </CardContent>
+        </Card>
+
+        {/* Live Captions */}
+        <Card className={cardClasses}>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Info className="w-5 h-5" />
+              Live Captions
+            </CardTitle>
+            <CardDescription className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
+              A running transcript of nearby speech you can search and export afterwards
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <CaptionsPanel
+              segments={captions.segments}
+              isCaptioning={captions.isCaptioning}
+              canCaption={isActive}
+              backends={CAPTION_BACKEND_OPTIONS}
+              backend={captionBackend}
+              onBackendChange={setCaptionBackend}
+              onStart={captions.start}
+              onStop={captions.stop}
+              onClear={captions.clear}
+              error={captions.error}
+              isDarkMode={isDarkMode}
+            />
+          </CardContent>
+        </Card>
+
+        {/* Recordings */}
+        <Card className={cardClasses}>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Mic className="w-5 h-5" />
+              Recordings
+            </CardTitle>
+            <CardDescription className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
+              Capture what you hear and compare it with the raw microphone
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <RecorderControls
+              recordings={recordings}
+              isRecording={isRecording}
+              elapsed={recordingElapsed}
+              maxDuration={MAX_RECORDING_SECONDS}
+              canRecord={isActive && isRecordingSupported(engine.context ?? {})}
+              includeRaw={includeRawRecording}
+              onIncludeRawChange={setIncludeRawRecording}
+              onStart={startRecordingSession}
+              onStop={finishRecording}
+              onDelete={removeRecording}
+              isDarkMode={isDarkMode}
+            />
           </CardContent>
         </Card>
 
@@ -649,33 +1993,54 @@ function App() {
           </CardContent>
         </Card>
 
-        {/* Technical Info */}
+        {/* Latency and audio path */}
         <Card className={cardClasses}>
           <CardHeader>
             <CardTitle className="flex items-center gap-2">
               <Zap className="w-5 h-5" />
-              Technical Features
+              Latency &amp; Audio Path
             </CardTitle>
+            <CardDescription className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
+              Measured from the running audio context and microphone
+            </CardDescription>
           </CardHeader>
           <CardContent>
-            <div className="grid gap-3 text-sm">
-              <div className="flex justify-between">
-                <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>Audio Latency:</span>
-                <span className="font-medium">~10-20ms (Ultra Low)</span>
-              </div>
-              <div className="flex justify-between">
-                <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>Sample Rate:</span>
-                <span className="font-medium">44.1 kHz</span>
-              </div>
-              <div className="flex justify-between">
-                <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>Audio Quality:</span>
-                <span className="font-medium">16-bit PCM</span>
-              </div>
-              <div className="flex justify-between">
-                <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>Processing:</span>
-                <span className="font-medium">Real-time DSP</span>
-              </div>
-            </div>
+            <LatencyPanel
+              info={latencyInfo}
+              roundTripMs={roundTripMs}
+              isMeasuring={isMeasuringLatency}
+              canMeasure={isActive && inputSource.type === 'microphone' && isRecordingSupported(engine.context ?? {})}
+              latencyMode={latencyMode}
+              sampleRate={sampleRate}
+              onLatencyModeChange={setLatencyMode}
+              onSampleRateChange={setSampleRate}
+              onMeasure={measureRoundTrip}
+              isDarkMode={isDarkMode}
+            />
+          </CardContent>
+        </Card>
+
+        {/* Hearing Safety Monitor */}
+        <Card className={cardClasses}>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Shield className="w-5 h-5" />
+              Hearing Safety
+            </CardTitle>
+            <CardDescription className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
+              Tracks your daily sound exposure and limits output when it gets too loud
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <SafetyMonitor
+              dose={todayDose}
+              levelSpl={exposure.levelSpl}
+              attenuationDb={exposure.attenuationDb}
+              status={safetyState}
+              settings={safetySettings}
+              onSettingsChange={updateSafetySettings}
+              isDarkMode={isDarkMode}
+            />
           </CardContent>
         </Card>
 
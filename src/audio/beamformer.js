@@ -0,0 +1,57 @@
+// Delay-and-sum beamforming for multi-channel microphones. The channels are
+// treated as a line of mics running left to right, `spacing` metres apart
+// (the layout of laptop and headset pairs). Sound from the steered direction
+// lines up across channels after the delays and adds coherently; sound from
+// elsewhere partly cancels, mostly above a kilohertz or so for a close pair.
+
+export const SPEED_OF_SOUND = 343
+// Typical distance between a laptop's or headset's microphones
+export const DEFAULT_MIC_SPACING = 0.1
+// Most hardware arrays expose two or four channels
+export const MAX_FOCUS_CHANNELS = 4
+// Direction in degrees: -90 is hard left, 0 straight ahead, 90 hard right
+export const FOCUS_DIRECTION_LIMIT = 90
+
+export const createDefaultFocusSettings = () => ({ enabled: false, direction: 0 })
+
+const clampDirection = (direction) =>
+  Math.max(-FOCUS_DIRECTION_LIMIT, Math.min(FOCUS_DIRECTION_LIMIT, direction))
+
+// Per-channel delays (seconds, all >= 0) that align a wavefront arriving
+// from `direction` across a line of `channelCount` mics
+export const steeringDelays = (channelCount, direction, spacing = DEFAULT_MIC_SPACING) => {
+  const sine = Math.sin((clampDirection(direction) * Math.PI) / 180)
+  // A source on the right reaches the rightmost mic first
+  const arrivals = Array.from({ length: channelCount }, (_, channel) =>
+    (-(channel - (channelCount - 1) / 2) * spacing * sine) / SPEED_OF_SOUND)
+  const latest = Math.max(...arrivals)
+  return arrivals.map(arrival => latest - arrival)
+}
+
+// splitter -> per-channel delay -> summing gain, mono out
+export const createBeamformer = (audioContext, channelCount, spacing = DEFAULT_MIC_SPACING) => {
+  const maxDelay = ((channelCount - 1) * spacing) / SPEED_OF_SOUND
+  const splitter = audioContext.createChannelSplitter(channelCount)
+  const sum = audioContext.createGain()
+  sum.channelCount = 1
+  sum.channelCountMode = 'explicit'
+  sum.gain.value = 1 / channelCount
+
+  const delays = Array.from({ length: channelCount }, (_, channel) => {
+    const delay = audioContext.createDelay(Math.max(maxDelay, 0.001))
+    splitter.connect(delay, channel)
+    delay.connect(sum)
+    return delay
+  })
+
+  return {
+    input: splitter,
+    output: sum,
+    setDirection(direction) {
+      const now = audioContext.currentTime
+      steeringDelays(channelCount, direction, spacing).forEach((time, channel) => {
+        delays[channel].delayTime.setTargetAtTime(time, now, 0.02)
+      })
+    }
+  }
+}
@@ -0,0 +1,112 @@
+import { createMultibandCompressor } from './compressor'
+import { createDspHost } from './dspHost'
+import { createNotchBank } from './feedback'
+import { createOutputLimiter } from './outputLimiter'
+import { createEarPaths } from './stereo'
+import { createSignalBuffer } from './testSignals'
+
+// Builds the processing chain shared by live listening and offline renders:
+// inputGain -> compressor -> highpass -> [dsp host] -> notches -> ear paths
+// -> analyser -> outputGain -> safetyGain -> limiter. The caller connects a
+// source to `input` and `output` to a destination. Gains in `params` are
+// linear; `dspModules` is the host's module list.
+export const buildProcessingChain = async (audioContext, params, onModuleMessage) => {
+  const inputGain = audioContext.createGain()
+  const compressor = createMultibandCompressor(audioContext, params.compressorBands, params.compressorRatios)
+  const filter = audioContext.createBiquadFilter()
+  const analyser = audioContext.createAnalyser()
+  const outputGain = audioContext.createGain()
+  const safetyGain = audioContext.createGain()
+
+  // Configure filter for noise reduction
+  filter.type = 'highpass'
+  filter.frequency.value = params.highpassFrequency
+  filter.Q.value = 1
+
+  // Configure analyser for real-time feedback; 2048 points gives ~20 Hz
+  // resolution for the spectrum view
+  analyser.fftSize = 2048
+  analyser.smoothingTimeConstant = 0.3
+  analyser.minDecibels = -100
+  analyser.maxDecibels = -10
+
+  // Sample-level DSP modules run in an AudioWorklet when the browser has one
+  let dspHost = null
+  try {
+    dspHost = await createDspHost(audioContext, params.dspModules, onModuleMessage)
+  } catch (err) {
+    console.error('Failed to load DSP worklet:', err)
+  }
+
+  // Nothing reaches the output above the user's ceiling, whatever the gains
+  const outputLimiter = await createOutputLimiter(audioContext, params.maxOutputDb)
+  const preEarStage = dspHost ? dspHost.node : filter
+
+  // Notches for acoustic feedback, flat until a howl is detected
+  const notchBank = createNotchBank(audioContext)
+  preEarStage.connect(notchBank.input)
+
+  // Per-ear paths: prescription -> equalizer -> ear gain, merged to stereo
+  const earPaths = createEarPaths(audioContext, notchBank.output, {
+    prescriptionGains: params.prescriptionGains,
+    eqGains: params.eqGains,
+    earGains: params.earGains
+  })
+
+  inputGain.connect(compressor.input)
+  compressor.output.connect(filter)
+  if (dspHost) {
+    filter.connect(dspHost.node)
+  }
+  earPaths.output.connect(analyser)
+  analyser.connect(outputGain)
+  outputGain.connect(safetyGain)
+  safetyGain.connect(outputLimiter.input)
+
+  inputGain.gain.value = params.micGain
+  outputGain.gain.value = params.outputVolume
+
+  return {
+    input: inputGain,
+    output: outputLimiter.output,
+    inputGain,
+    compressors: compressor.compressors,
+    filter,
+    dspHost,
+    notchFilters: notchBank.filters,
+    ears: earPaths.ears,
+    analyser,
+    outputGain,
+    safetyGain,
+    outputLimiter
+  }
+}
+
+// Runs `channels` (Float32Arrays at `sampleRate`) through the chain in an
+// OfflineAudioContext and resolves to the stereo result. Rendering is
+// deterministic for a given input and settings, so it suits regression
+// checks as well as quick listening.
+export const renderOffline = async (channels, sampleRate, params) => {
+  const audioContext = new OfflineAudioContext(2, channels[0].length, sampleRate)
+  const chain = await buildProcessingChain(audioContext, params)
+  const source = audioContext.createBufferSource()
+  source.buffer = createSignalBuffer(audioContext, channels)
+  source.connect(chain.input)
+  chain.output.connect(audioContext.destination)
+  source.start()
+
+  const rendered = await audioContext.startRendering()
+  return [rendered.getChannelData(0), rendered.getChannelData(1)]
+}
+
+// Mono mixdown, matching what a single-channel microphone tap records
+export const mixToMono = (channels) => {
+  if (channels.length === 1) return channels[0]
+  const mono = new Float32Array(channels[0].length)
+  channels.forEach(samples => {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += samples[i] / channels.length
+    }
+  })
+  return mono
+}
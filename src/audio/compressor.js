@@ -0,0 +1,136 @@
+import { dbToGain } from './dsp/envelope'
+
+// Wide-dynamic-range compression split into independent bands. The bands are
+// split off one crossover at a time with cascaded Butterworth sections (a
+// 4th-order Linkwitz-Riley crossover), and each gets its own
+// DynamicsCompressorNode. Each compressor is followed by a trim that takes
+// out its makeup gain, so with the compressors idle the bands sum back flat.
+
+export const WDRC_CROSSOVERS = [500, 2000, 4000]
+
+export const WDRC_BAND_LABELS = ['Low', 'Low-mid', 'High-mid', 'High']
+
+export const WDRC_LIMITS = {
+  threshold: { min: -70, max: 0, step: 1 },
+  ratio: { min: 1, max: 10, step: 0.5 },
+  attack: { min: 1, max: 100, step: 1 },
+  release: { min: 20, max: 1000, step: 10 }
+}
+
+// Web Audio reads the Q of a lowpass or highpass in dB, and of an allpass as
+// a plain ratio
+const BUTTERWORTH_Q = Math.SQRT1_2
+const BUTTERWORTH_Q_DB = 20 * Math.log10(BUTTERWORTH_Q)
+const KNEE = 10
+
+const band = (threshold, ratio, attack, release) => ({ threshold, ratio, attack, release })
+
+// Attack and release are in milliseconds, threshold in dBFS
+export const WDRC_PRESETS = {
+  gentle: {
+    label: 'Gentle',
+    bands: [band(-30, 1.5, 10, 200), band(-32, 1.5, 8, 160), band(-34, 1.5, 5, 120), band(-34, 1.5, 5, 120)]
+  },
+  speech: {
+    label: 'Speech',
+    bands: [band(-35, 2, 10, 150), band(-38, 2, 5, 100), band(-40, 2.5, 3, 80), band(-40, 2.5, 2, 60)]
+  },
+  strong: {
+    label: 'Strong',
+    bands: [band(-45, 3, 5, 120), band(-48, 3, 3, 80), band(-50, 4, 2, 60), band(-50, 4, 1, 50)]
+  }
+}
+
+export const DEFAULT_WDRC_PRESET = 'speech'
+
+// Preset name used once any band has been edited by hand
+export const CUSTOM_WDRC_PRESET = 'custom'
+
+export const createDefaultCompressorSettings = () => ({
+  preset: DEFAULT_WDRC_PRESET,
+  bands: WDRC_PRESETS[DEFAULT_WDRC_PRESET].bands.map(settings => ({ ...settings }))
+})
+
+const createFilter = (audioContext, type, frequency, q) => {
+  const filter = audioContext.createBiquadFilter()
+  filter.type = type
+  filter.frequency.value = frequency
+  filter.Q.value = q
+  return filter
+}
+
+const createFilterPair = (audioContext, type, frequency) => {
+  const first = createFilter(audioContext, type, frequency, BUTTERWORTH_Q_DB)
+  const second = createFilter(audioContext, type, frequency, BUTTERWORTH_Q_DB)
+  first.connect(second)
+  return { input: first, output: second }
+}
+
+// The lowpass and highpass halves of an LR4 crossover sum to this allpass.
+// A band split off below a crossover goes through it so it stays in phase
+// with the bands that were split there.
+const createCrossoverAllpass = (audioContext, frequency) =>
+  createFilter(audioContext, 'allpass', frequency, BUTTERWORTH_Q)
+
+// Output level in dB of a compressor's static curve for an input at `db`.
+// The spec leaves the shape of the knee to the browser; this uses the usual
+// quadratic one, which meets both straight segments with matching slope.
+const compressorCurveDb = (db, threshold, knee, ratio) => {
+  if (db <= threshold) return db
+  if (db >= threshold + knee) return threshold + knee / 2 + (db - threshold - knee / 2) / ratio
+  const over = db - threshold
+  return db + (1 / ratio - 1) * over * over / (2 * knee)
+}
+
+// A DynamicsCompressorNode adds makeup gain of (1 / fullRangeGain) ^ 0.6,
+// where fullRangeGain is its gain at 0 dBFS. This is the gain that cancels it.
+export const makeupTrimDb = (threshold, ratio, knee = KNEE) =>
+  0.6 * compressorCurveDb(0, threshold, knee, ratio)
+
+export const applyBandSettings = ({ compressor, trim }, settings, ratio = settings.ratio) => {
+  compressor.threshold.value = settings.threshold
+  compressor.ratio.value = ratio
+  compressor.attack.value = settings.attack / 1000
+  compressor.release.value = settings.release / 1000
+  trim.gain.value = dbToGain(makeupTrimDb(settings.threshold, ratio))
+}
+
+// `ratios` optionally overrides the per-band ratio, e.g. from a fitting rule
+export const createMultibandCompressor = (audioContext, bands, ratios = []) => {
+  const input = audioContext.createGain()
+  const output = audioContext.createGain()
+
+  // Each crossover splits off the lowest band from what is left above the
+  // previous one
+  const bandInputs = []
+  let rest = input
+  WDRC_CROSSOVERS.forEach((frequency, index) => {
+    const lowpass = createFilterPair(audioContext, 'lowpass', frequency)
+    const highpass = createFilterPair(audioContext, 'highpass', frequency)
+    rest.connect(lowpass.input)
+    rest.connect(highpass.input)
+
+    let node = lowpass.output
+    WDRC_CROSSOVERS.slice(index + 1).forEach(upperEdge => {
+      const allpass = createCrossoverAllpass(audioContext, upperEdge)
+      node.connect(allpass)
+      node = allpass
+    })
+    bandInputs.push(node)
+    rest = highpass.output
+  })
+  bandInputs.push(rest)
+
+  const compressors = bands.map((settings, index) => {
+    const compressor = audioContext.createDynamicsCompressor()
+    const trim = audioContext.createGain()
+    compressor.knee.value = KNEE
+    applyBandSettings({ compressor, trim }, settings, ratios[index])
+    bandInputs[index].connect(compressor)
+    compressor.connect(trim)
+    trim.connect(output)
+    return { compressor, trim }
+  })
+
+  return { input, output, compressors }
+}
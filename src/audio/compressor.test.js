@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest'
+import { WDRC_PRESETS, applyBandSettings, createMultibandCompressor } from './compressor'
+
+const SAMPLE_RATE = 48000
+
+// Just enough of an AudioContext to build the compressor and evaluate the
+// summed frequency response of its graph. Biquads follow the Web Audio
+// spec's formulas and gains apply their gain. An idle compressor still adds
+// the spec's makeup gain, (1 / fullRangeGain) ^ 0.6.
+const createGraphContext = () => {
+  const createNode = (kind, params = {}) => {
+    const node = { kind, ...params, inputs: [], connect: (target) => target.inputs.push(node) }
+    return node
+  }
+  return {
+    sampleRate: SAMPLE_RATE,
+    createGain: () => createNode('gain', { gain: { value: 1 } }),
+    createDynamicsCompressor: () =>
+      createNode('compressor', { knee: {}, threshold: {}, ratio: {}, attack: {}, release: {} }),
+    createBiquadFilter: () => createNode('biquad', { frequency: {}, Q: {} })
+  }
+}
+
+const multiply = ([a, b], [c, d]) => [a * c - b * d, a * d + b * c]
+const divide = ([a, b], [c, d]) => {
+  const scale = c * c + d * d
+  return [(a * c + b * d) / scale, (b * c - a * d) / scale]
+}
+
+const biquadResponse = ({ type, frequency, Q }, hz) => {
+  const w0 = (2 * Math.PI * frequency.value) / SAMPLE_RATE
+  const cos = Math.cos(w0)
+  const alpha = type === 'allpass'
+    ? Math.sin(w0) / (2 * Q.value)
+    : Math.sin(w0) / (2 * Math.pow(10, Q.value / 20))
+  const b = {
+    lowpass: [(1 - cos) / 2, 1 - cos, (1 - cos) / 2],
+    highpass: [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2],
+    allpass: [1 - alpha, -2 * cos, 1 + alpha]
+  }[type]
+  const a = [1 + alpha, -2 * cos, 1 - alpha]
+
+  const w = (2 * Math.PI * hz) / SAMPLE_RATE
+  const z1 = [Math.cos(-w), Math.sin(-w)]
+  const z2 = [Math.cos(-2 * w), Math.sin(-2 * w)]
+  const evaluate = ([c0, c1, c2]) => {
+    const [r1, i1] = z1
+    const [r2, i2] = z2
+    return [c0 + c1 * r1 + c2 * r2, c1 * i1 + c2 * i2]
+  }
+  return divide(evaluate(b), evaluate(a))
+}
+
+// Makeup gain of an idle compressor, from its gain at 0 dBFS along a curve
+// with a quadratic soft knee
+const makeupGain = ({ threshold, knee, ratio }) => {
+  const over = -threshold.value
+  const fullRangeDb = over >= knee.value
+    ? (1 / ratio.value - 1) * (over - knee.value / 2)
+    : ((1 / ratio.value - 1) * over * over) / (2 * knee.value)
+  return Math.pow(10, (-0.6 * fullRangeDb) / 20)
+}
+
+const FREQUENCIES = [50, 200, 500, 1000, 2000, 2500, 3000, 4000, 6000, 10000, 16000]
+
+const expectFlat = (output) => {
+  FREQUENCIES.forEach(hz => {
+    const [re, im] = responseAt(output, hz)
+    expect(20 * Math.log10(Math.hypot(re, im))).toBeCloseTo(0, 2)
+  })
+}
+
+const ownResponse = (node, hz) => {
+  if (node.kind === 'biquad') return biquadResponse(node, hz)
+  if (node.kind === 'gain') return [node.gain.value, 0]
+  if (node.kind === 'compressor') return [makeupGain(node), 0]
+  return [1, 0]
+}
+
+// Complex response from the graph's input to `node`'s output
+const responseAt = (node, hz) => {
+  const own = ownResponse(node, hz)
+  if (!node.inputs.length) return own
+  const summed = node.inputs
+    .map(input => responseAt(input, hz))
+    .reduce(([a, b], [c, d]) => [a + c, b + d], [0, 0])
+  return multiply(own, summed)
+}
+
+describe('createMultibandCompressor', () => {
+  it('builds one compressor per band', () => {
+    const { compressors } = createMultibandCompressor(createGraphContext(), WDRC_PRESETS.speech.bands)
+    expect(compressors).toHaveLength(4)
+  })
+
+  it('sums back flat with the compressors idle', () => {
+    Object.values(WDRC_PRESETS).forEach(({ bands }) => {
+      expectFlat(createMultibandCompressor(createGraphContext(), bands).output)
+    })
+  })
+
+  it('cancels the makeup gain of the fitted ratios', () => {
+    const { output } = createMultibandCompressor(createGraphContext(), WDRC_PRESETS.speech.bands, [1.2, 1.8, 2.6, 3])
+    expectFlat(output)
+  })
+
+  it('retrims the bands when their settings change', () => {
+    const { output, compressors } = createMultibandCompressor(createGraphContext(), WDRC_PRESETS.gentle.bands)
+    compressors.forEach((band, index) => applyBandSettings(band, WDRC_PRESETS.strong.bands[index]))
+    expectFlat(output)
+    // A threshold inside the knee still leaves some makeup gain
+    applyBandSettings(compressors[0], { threshold: -4, ratio: 10, attack: 5, release: 50 })
+    expectFlat(output)
+  })
+})
@@ -0,0 +1,41 @@
+// Empty string means "let the browser pick its default device"
+export const DEFAULT_DEVICE_ID = ''
+
+export const isOutputSelectionSupported = () =>
+  typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype
+
+const toOption = (device, index, fallbackLabel) => ({
+  deviceId: device.deviceId,
+  label: device.label || `${fallbackLabel} ${index + 1}`
+})
+
+export const listAudioDevices = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) {
+    return { inputs: [], outputs: [], hasLabels: false }
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices()
+  const inputs = devices.filter(device => device.kind === 'audioinput' && device.deviceId)
+  const outputs = devices.filter(device => device.kind === 'audiooutput' && device.deviceId)
+
+  return {
+    inputs: inputs.map((device, index) => toOption(device, index, 'Microphone')),
+    outputs: outputs.map((device, index) => toOption(device, index, 'Speaker')),
+    // Browsers hide labels (and sometimes ids) until microphone permission
+    // is granted, so until then a missing id doesn't mean it was unplugged
+    hasLabels: devices.some(device => device.label)
+  }
+}
+
+// Returns the id to use, falling back to the default when the chosen device
+// is no longer connected
+export const resolveDeviceId = (devices, deviceId) =>
+  deviceId === DEFAULT_DEVICE_ID || devices.some(device => device.deviceId === deviceId)
+    ? deviceId
+    : DEFAULT_DEVICE_ID
+
+export const applyOutputDevice = async (audioContext, deviceId) => {
+  if (!audioContext?.setSinkId) return false
+  await audioContext.setSinkId(deviceId)
+  return true
+}
@@ -0,0 +1,37 @@
+// Second-order filter sections for sample-level modules, using the RBJ
+// audio EQ cookbook coefficients (Butterworth Q)
+
+const BUTTERWORTH_Q = Math.SQRT1_2
+
+const normalize = (b0, b1, b2, a0, a1, a2) => ({
+  b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: a1 / a0, a2: a2 / a0
+})
+
+export const highpassCoefficients = (frequency, sampleRate, q = BUTTERWORTH_Q) => {
+  const w = (2 * Math.PI * frequency) / sampleRate
+  const cos = Math.cos(w)
+  const alpha = Math.sin(w) / (2 * q)
+  return normalize((1 + cos) / 2, -(1 + cos), (1 + cos) / 2, 1 + alpha, -2 * cos, 1 - alpha)
+}
+
+export const lowpassCoefficients = (frequency, sampleRate, q = BUTTERWORTH_Q) => {
+  const w = (2 * Math.PI * frequency) / sampleRate
+  const cos = Math.cos(w)
+  const alpha = Math.sin(w) / (2 * q)
+  return normalize((1 - cos) / 2, 1 - cos, (1 - cos) / 2, 1 + alpha, -2 * cos, 1 - alpha)
+}
+
+// Transposed direct form II, one sample at a time
+export const createBiquad = ({ b0, b1, b2, a1, a2 }) => {
+  let z1 = 0
+  let z2 = 0
+
+  return {
+    next(sample) {
+      const out = b0 * sample + z1
+      z1 = b1 * sample - a1 * out + z2
+      z2 = b2 * sample - a2 * out
+      return out
+    }
+  }
+}
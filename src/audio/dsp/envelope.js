@@ -0,0 +1,29 @@
+// Shared helpers for sample-level DSP modules
+
+export const dbToGain = (db) => Math.pow(10, db / 20)
+
+export const gainToDb = (gain) => 20 * Math.log10(Math.max(gain, 1e-10))
+
+// One-pole smoothing coefficient for a time constant given in milliseconds
+export const timeCoefficient = (timeMs, sampleRate) =>
+  timeMs <= 0 ? 0 : Math.exp(-1 / ((timeMs / 1000) * sampleRate))
+
+// Peak envelope follower with separate attack and release times
+export const createEnvelopeFollower = ({ sampleRate, attack, release }) => {
+  let envelope = 0
+  let attackCoeff = timeCoefficient(attack, sampleRate)
+  let releaseCoeff = timeCoefficient(release, sampleRate)
+
+  return {
+    setTimes(nextAttack, nextRelease) {
+      attackCoeff = timeCoefficient(nextAttack, sampleRate)
+      releaseCoeff = timeCoefficient(nextRelease, sampleRate)
+    },
+    next(sample) {
+      const level = Math.abs(sample)
+      const coeff = level > envelope ? attackCoeff : releaseCoeff
+      envelope = coeff * envelope + (1 - coeff) * level
+      return envelope
+    }
+  }
+}
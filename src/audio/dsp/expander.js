@@ -0,0 +1,28 @@
+import { createEnvelopeFollower, dbToGain, gainToDb } from './envelope'
+
+// Downward expander: below the threshold every dB of input drop becomes
+// `ratio` dB of output drop, which pushes low-level noise further down
+// without the hard on/off of a gate
+export const createExpander = ({ sampleRate, ...initial }) => {
+  let params = { threshold: -45, ratio: 2, range: -30, attack: 5, release: 120, ...initial }
+  const follower = createEnvelopeFollower({ sampleRate, attack: params.attack, release: params.release })
+
+  return {
+    setParams(next) {
+      params = { ...params, ...next }
+      follower.setTimes(params.attack, params.release)
+    },
+    process(input, output) {
+      const { threshold, ratio, range } = params
+      for (let i = 0; i < input.length; i++) {
+        const sample = input[i]
+        const levelDb = gainToDb(follower.next(sample))
+        let reductionDb = 0
+        if (levelDb < threshold) {
+          reductionDb = Math.max(range, (levelDb - threshold) * (ratio - 1))
+        }
+        output[i] = sample * dbToGain(reductionDb)
+      }
+    }
+  }
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest'
+import { dbToGain, gainToDb } from './envelope'
+import { createExpander } from './expander'
+
+const SAMPLE_RATE = 48000
+
+// Gain in dB once the expander has settled on a constant input at `db`
+const settledGainDb = (expander, db) => {
+  const input = new Float32Array(SAMPLE_RATE).fill(dbToGain(db))
+  const output = new Float32Array(input.length)
+  expander.process(input, output)
+  return gainToDb(output[output.length - 1] / input[input.length - 1])
+}
+
+describe('createExpander', () => {
+  it('leaves signals above the threshold alone', () => {
+    const expander = createExpander({ sampleRate: SAMPLE_RATE, threshold: -45 })
+    expect(settledGainDb(expander, -20)).toBeCloseTo(0, 3)
+  })
+
+  it('expands below the threshold by the ratio', () => {
+    const expander = createExpander({ sampleRate: SAMPLE_RATE, threshold: -45, ratio: 2 })
+    expect(settledGainDb(expander, -55)).toBeCloseTo(-10, 1)
+    expander.setParams({ ratio: 3 })
+    expect(settledGainDb(expander, -55)).toBeCloseTo(-20, 1)
+  })
+
+  it('never turns down by more than the range', () => {
+    const expander = createExpander({ sampleRate: SAMPLE_RATE, threshold: -45, ratio: 4, range: -30 })
+    expect(settledGainDb(expander, -90)).toBeCloseTo(-30, 3)
+  })
+
+  it('follows a level drop at the release time', () => {
+    const expander = createExpander({ sampleRate: SAMPLE_RATE, threshold: -45, ratio: 2, release: 100 })
+    settledGainDb(expander, -20)
+
+    const input = new Float32Array(SAMPLE_RATE / 2).fill(dbToGain(-80))
+    const output = new Float32Array(input.length)
+    expander.process(input, output)
+    const gainDb = (time) => gainToDb(output[Math.round(time * SAMPLE_RATE)] / input[0])
+    // The detected level takes over 300 ms to fall from -20 to -45 dB
+    expect(gainDb(0.25)).toBeCloseTo(0, 3)
+    expect(gainDb(0.49)).toBeLessThan(-10)
+  })
+})
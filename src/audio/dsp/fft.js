@@ -0,0 +1,58 @@
+// In-place iterative radix-2 FFT. `re` and `im` must have a power-of-two
+// length; pass `inverse` to run the inverse transform (scaled by 1/N).
+export const fft = (re, im, inverse = false) => {
+  const n = re.length
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) {
+      j ^= bit
+    }
+    j ^= bit
+    if (i < j) {
+      let temp = re[i]
+      re[i] = re[j]
+      re[j] = temp
+      temp = im[i]
+      im[i] = im[j]
+      im[j] = temp
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / size
+    const stepRe = Math.cos(angle)
+    const stepIm = Math.sin(angle)
+    const half = size >> 1
+
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1
+      let wIm = 0
+      for (let k = 0; k < half; k++) {
+        const a = start + k
+        const b = a + half
+        const tRe = re[b] * wRe - im[b] * wIm
+        const tIm = re[b] * wIm + im[b] * wRe
+        re[b] = re[a] - tRe
+        im[b] = im[a] - tIm
+        re[a] += tRe
+        im[a] += tIm
+        const nextRe = wRe * stepRe - wIm * stepIm
+        wIm = wRe * stepIm + wIm * stepRe
+        wRe = nextRe
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n
+      im[i] /= n
+    }
+  }
+}
+
+// Periodic square-root Hann window; applied on both analysis and synthesis
+// it sums to one at 50% overlap
+export const createSqrtHannWindow = (size) =>
+  Float32Array.from({ length: size }, (_, n) => Math.sqrt(0.5 * (1 - Math.cos((2 * Math.PI * n) / size))))
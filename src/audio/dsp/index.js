@@ -0,0 +1,60 @@
+import { createNoiseGate } from './noiseGate'
+import { createExpander } from './expander'
+import { createLimiter } from './limiter'
+import { createSpectralDenoiser } from './spectralDenoiser'
+import { createSpeechFocus } from './speechFocus'
+
+// Registry of sample-level DSP modules the worklet host can load.
+//
+// A module factory takes `{ sampleRate, ...params }` and returns an object
+// with `process(input, output)` and `setParams(params)`. `process` receives
+// Float32Arrays of equal length and must tolerate `input === output`, since
+// the host runs modules in place. Nothing here touches Web Audio, so modules
+// can be driven directly with sample buffers outside the browser.
+//
+// Factories may also receive `emit(data)` to report results back to the main
+// thread. Modules run in registry order; `hasOwnControls` keeps a module out
+// of the generic on/off list.
+export const DSP_MODULES = {
+  spectralDenoiser: {
+    label: 'Learned Noise Reduction',
+    description: 'Subtracts a recorded background noise profile',
+    create: createSpectralDenoiser,
+    defaults: { strength: 70, learning: false, noiseProfile: null },
+    hasOwnControls: true
+  },
+  speechFocus: {
+    label: 'Speech Focus',
+    description: 'Emphasizes voices and turns down the gaps between them',
+    create: createSpeechFocus,
+    defaults: { emphasis: 6, reduction: -12 },
+    hasOwnControls: true
+  },
+  noiseGate: {
+    label: 'Noise Gate',
+    description: 'Silences the signal between sounds',
+    create: createNoiseGate
+  },
+  expander: {
+    label: 'Expander',
+    description: 'Gently pushes down low-level background noise',
+    create: createExpander
+  },
+  limiter: {
+    label: 'Limiter',
+    description: 'Catches sudden peaks before they get loud',
+    create: createLimiter
+  }
+}
+
+// Runs a configured chain of module instances over one buffer, in place
+export const runModules = (modules, buffer) => {
+  for (let i = 0; i < modules.length; i++) {
+    modules[i].process(buffer, buffer)
+  }
+}
+
+export const createDefaultDspSettings = () =>
+  Object.fromEntries(
+    Object.entries(DSP_MODULES).map(([type, { defaults }]) => [type, { enabled: false, params: { ...defaults } }])
+  )
@@ -0,0 +1,29 @@
+import { dbToGain, timeCoefficient } from './envelope'
+
+// Peak limiter: gain drops instantly when a sample would exceed the ceiling
+// and recovers over `release` ms, so the output never goes above it
+export const createLimiter = ({ sampleRate, ...initial }) => {
+  let params = { ceiling: -1, release: 50, ...initial }
+  let ceilingGain = dbToGain(params.ceiling)
+  let releaseCoeff = timeCoefficient(params.release, sampleRate)
+  let gain = 1
+
+  return {
+    setParams(next) {
+      params = { ...params, ...next }
+      ceilingGain = dbToGain(params.ceiling)
+      releaseCoeff = timeCoefficient(params.release, sampleRate)
+    },
+    process(input, output) {
+      for (let i = 0; i < input.length; i++) {
+        const sample = input[i]
+        const peak = Math.abs(sample)
+        gain = releaseCoeff * gain + (1 - releaseCoeff)
+        if (peak * gain > ceilingGain) {
+          gain = ceilingGain / peak
+        }
+        output[i] = sample * gain
+      }
+    }
+  }
+}
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest'
+import { dbToGain } from './envelope'
+import { createLimiter } from './limiter'
+
+const SAMPLE_RATE = 48000
+
+// Deterministic noise with peaks up to `peak`
+const noise = (length, peak) => {
+  let seed = 1
+  return Float32Array.from({ length }, () => {
+    seed = (seed * 16807) % 2147483647
+    return peak * (2 * (seed / 2147483647) - 1)
+  })
+}
+
+const peakOf = (samples) => samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0)
+
+describe('createLimiter', () => {
+  it('never goes above the ceiling', () => {
+    const limiter = createLimiter({ sampleRate: SAMPLE_RATE, ceiling: -6 })
+    const input = noise(SAMPLE_RATE, 4)
+    const output = new Float32Array(input.length)
+    limiter.process(input, output)
+    expect(peakOf(output)).toBeLessThanOrEqual(dbToGain(-6) + 1e-6)
+
+    limiter.setParams({ ceiling: -12 })
+    limiter.process(input, output)
+    expect(peakOf(output)).toBeLessThanOrEqual(dbToGain(-12) + 1e-6)
+  })
+
+  it('leaves signals under the ceiling untouched', () => {
+    const limiter = createLimiter({ sampleRate: SAMPLE_RATE, ceiling: -1 })
+    const input = noise(SAMPLE_RATE, 0.5)
+    const output = new Float32Array(input.length)
+    limiter.process(input, output)
+    expect(output.every((sample, i) => sample === input[i])).toBe(true)
+  })
+
+  it('recovers at the release time after a peak', () => {
+    const limiter = createLimiter({ sampleRate: SAMPLE_RATE, ceiling: -6, release: 50 })
+    const input = new Float32Array(SAMPLE_RATE).fill(0.1)
+    input[0] = 1
+    const output = new Float32Array(input.length)
+    limiter.process(input, output)
+
+    const gain = (time) => output[Math.round((time / 1000) * SAMPLE_RATE)] / input[1]
+    const reduction = 1 - dbToGain(-6)
+    expect(1 - gain(50)).toBeCloseTo(reduction * Math.exp(-1), 2)
+    expect(gain(500)).toBeCloseTo(1, 3)
+  })
+
+  it('runs in place', () => {
+    const limiter = createLimiter({ sampleRate: SAMPLE_RATE, ceiling: -6 })
+    const buffer = noise(4800, 2)
+    limiter.process(buffer, buffer)
+    expect(peakOf(buffer)).toBeLessThanOrEqual(dbToGain(-6) + 1e-6)
+  })
+})
@@ -0,0 +1,49 @@
+import { createEnvelopeFollower, dbToGain, timeCoefficient } from './envelope'
+
+// Mutes the signal while it stays below the threshold. The gate holds open
+// for `hold` ms after the level drops so word endings are not clipped.
+export const createNoiseGate = ({ sampleRate, ...initial }) => {
+  let params = { threshold: -50, floor: -80, attack: 1, release: 80, hold: 60, ...initial }
+  const follower = createEnvelopeFollower({ sampleRate, attack: 1, release: 20 })
+  let gain = 0
+  let holdSamples = 0
+  let openCoeff = 0
+  let closeCoeff = 0
+  let thresholdGain = 0
+  let floorGain = 0
+
+  const configure = () => {
+    openCoeff = timeCoefficient(params.attack, sampleRate)
+    closeCoeff = timeCoefficient(params.release, sampleRate)
+    thresholdGain = dbToGain(params.threshold)
+    floorGain = dbToGain(params.floor)
+  }
+  configure()
+
+  return {
+    setParams(next) {
+      params = { ...params, ...next }
+      configure()
+    },
+    process(input, output) {
+      const holdLength = Math.round((params.hold / 1000) * sampleRate)
+      for (let i = 0; i < input.length; i++) {
+        const sample = input[i]
+        const level = follower.next(sample)
+
+        let target = floorGain
+        if (level >= thresholdGain) {
+          holdSamples = holdLength
+          target = 1
+        } else if (holdSamples > 0) {
+          holdSamples--
+          target = 1
+        }
+
+        const coeff = target > gain ? openCoeff : closeCoeff
+        gain = coeff * gain + (1 - coeff) * target
+        output[i] = sample * gain
+      }
+    }
+  }
+}
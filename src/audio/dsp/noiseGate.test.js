@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { dbToGain } from './envelope'
+import { createNoiseGate } from './noiseGate'
+
+const SAMPLE_RATE = 48000
+
+const ms = (time) => Math.round((time / 1000) * SAMPLE_RATE)
+
+// A constant signal at `db` for `duration` ms, so the gate's gain can be
+// read straight off output / input
+const level = (db, duration) => new Float32Array(ms(duration)).fill(dbToGain(db))
+
+const gainsFor = (gate, ...segments) => {
+  const input = new Float32Array(segments.reduce((length, segment) => length + segment.length, 0))
+  let offset = 0
+  segments.forEach(segment => {
+    input.set(segment, offset)
+    offset += segment.length
+  })
+  const output = new Float32Array(input.length)
+  gate.process(input, output)
+  return output.map((sample, i) => sample / input[i])
+}
+
+describe('createNoiseGate', () => {
+  it('stays closed below the threshold', () => {
+    const gate = createNoiseGate({ sampleRate: SAMPLE_RATE, threshold: -50, floor: -80 })
+    const gains = gainsFor(gate, level(-56, 500))
+    expect(Math.max(...gains)).toBeLessThan(dbToGain(-79))
+  })
+
+  it('opens above the threshold at the attack time', () => {
+    const gate = createNoiseGate({ sampleRate: SAMPLE_RATE, threshold: -50, attack: 20 })
+    const gains = gainsFor(gate, level(-20, 200))
+    // The level detector crosses the threshold within a few samples, so the
+    // gain follows the attack time constant from the start
+    expect(gains[ms(20)]).toBeCloseTo(1 - Math.exp(-1), 1)
+    expect(gains[ms(200) - 1]).toBeCloseTo(1, 3)
+  })
+
+  it('holds open, then closes at the release time', () => {
+    const gate = createNoiseGate({ sampleRate: SAMPLE_RATE, threshold: -30, floor: -80, hold: 60, release: 80 })
+    const gains = gainsFor(gate, level(-10, 200), level(-60, 1000)).slice(ms(200))
+
+    // The 20 ms detector release takes the -10 dB level below -30 dB within
+    // about 50 ms. The hold keeps the gain up for 60 ms after that.
+    const closing = gains.findIndex(gain => gain < 0.999)
+    expect(closing).toBeGreaterThan(ms(100))
+    expect(closing).toBeLessThan(ms(115))
+    expect(gains[closing + ms(80)]).toBeCloseTo(Math.exp(-1), 1)
+    expect(gains[gains.length - 1]).toBeLessThan(dbToGain(-70))
+  })
+
+  it('picks up new params', () => {
+    const gate = createNoiseGate({ sampleRate: SAMPLE_RATE, threshold: -50 })
+    gate.setParams({ threshold: -70 })
+    const gains = gainsFor(gate, level(-60, 100))
+    expect(gains[gains.length - 1]).toBeCloseTo(1, 3)
+  })
+})
@@ -0,0 +1,107 @@
+import { createSqrtHannWindow, fft } from './fft'
+
+const FRAME_SIZE = 512
+const HOP_SIZE = FRAME_SIZE / 2
+const BIN_COUNT = FRAME_SIZE / 2 + 1
+const OVER_SUBTRACTION = 2
+const GAIN_FLOOR = 0.05
+const GAIN_SMOOTHING = 0.6
+
+// Spectral subtraction against a learned noise profile, run as a 50%
+// overlap-add STFT. While `learning` is set the module averages the power
+// spectrum of its input and, once learning stops, reports the result through
+// `emit({ noiseProfile })` so the caller can keep it across restarts.
+//
+// Adds FRAME_SIZE samples of latency whether or not a profile is loaded.
+export const createSpectralDenoiser = ({ sampleRate, emit = () => {}, ...initial }) => {
+  let params = { strength: 70, learning: false, noiseProfile: null, ...initial }
+  const window = createSqrtHannWindow(FRAME_SIZE)
+  const inputFifo = new Float32Array(FRAME_SIZE)
+  const outputFifo = new Float32Array(HOP_SIZE)
+  const overlap = new Float32Array(FRAME_SIZE)
+  const re = new Float32Array(FRAME_SIZE)
+  const im = new Float32Array(FRAME_SIZE)
+  const gains = new Float32Array(BIN_COUNT).fill(1)
+  const noiseSum = new Float64Array(BIN_COUNT)
+  let noiseFrames = 0
+  let fill = FRAME_SIZE - HOP_SIZE
+
+  const finishLearning = () => {
+    if (noiseFrames === 0) return
+    const noiseProfile = Array.from(noiseSum, power => power / noiseFrames)
+    params = { ...params, noiseProfile }
+    emit({ noiseProfile })
+  }
+
+  const processFrame = () => {
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = inputFifo[i] * window[i]
+      im[i] = 0
+    }
+    fft(re, im)
+
+    const { learning, noiseProfile, strength } = params
+    const amount = Math.min(1, Math.max(0, strength / 100))
+
+    for (let k = 0; k < BIN_COUNT; k++) {
+      const power = re[k] * re[k] + im[k] * im[k]
+
+      if (learning) {
+        noiseSum[k] += power
+        continue
+      }
+      if (!noiseProfile) continue
+
+      const subtracted = Math.max(GAIN_FLOOR, 1 - (OVER_SUBTRACTION * noiseProfile[k]) / Math.max(power, 1e-12))
+      const target = 1 - amount * (1 - subtracted)
+      gains[k] = GAIN_SMOOTHING * gains[k] + (1 - GAIN_SMOOTHING) * target
+
+      re[k] *= gains[k]
+      im[k] *= gains[k]
+      if (k > 0 && k < FRAME_SIZE / 2) {
+        re[FRAME_SIZE - k] *= gains[k]
+        im[FRAME_SIZE - k] *= gains[k]
+      }
+    }
+    if (learning) {
+      noiseFrames++
+    }
+
+    fft(re, im, true)
+
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      overlap[i] += re[i] * window[i]
+    }
+    outputFifo.set(overlap.subarray(0, HOP_SIZE))
+    overlap.copyWithin(0, HOP_SIZE)
+    overlap.fill(0, FRAME_SIZE - HOP_SIZE)
+    inputFifo.copyWithin(0, HOP_SIZE)
+  }
+
+  return {
+    setParams(next) {
+      const wasLearning = params.learning
+      params = { ...params, ...next }
+      if (params.learning && !wasLearning) {
+        noiseSum.fill(0)
+        noiseFrames = 0
+      } else if (wasLearning && !params.learning) {
+        finishLearning()
+      }
+      if (!params.noiseProfile) {
+        gains.fill(1)
+      }
+    },
+    process(input, output) {
+      for (let i = 0; i < input.length; i++) {
+        inputFifo[fill] = input[i]
+        output[i] = outputFifo[fill - (FRAME_SIZE - HOP_SIZE)]
+        fill++
+        if (fill === FRAME_SIZE) {
+          fill = FRAME_SIZE - HOP_SIZE
+          processFrame()
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it, vi } from 'vitest'
+import { createSpectralDenoiser } from './spectralDenoiser'
+
+const SAMPLE_RATE = 48000
+const FRAME_SIZE = 512
+
+const noise = (length, peak) => {
+  let seed = 7
+  return Float32Array.from({ length }, () => {
+    seed = (seed * 16807) % 2147483647
+    return peak * (2 * (seed / 2147483647) - 1)
+  })
+}
+
+const sine = (length, frequency, amplitude) =>
+  Float32Array.from({ length }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE))
+
+const run = (denoiser, input) => {
+  const output = new Float32Array(input.length)
+  denoiser.process(input, output)
+  return output
+}
+
+// RMS in dB of the second half, once the STFT and gain smoothing have settled
+const settledDb = (samples) => {
+  const tail = samples.subarray(samples.length / 2)
+  const power = tail.reduce((sum, sample) => sum + sample * sample, 0) / tail.length
+  return 10 * Math.log10(power)
+}
+
+// Learns a noise profile from `samples`
+const learn = (denoiser, samples) => {
+  denoiser.setParams({ learning: true })
+  run(denoiser, samples)
+  denoiser.setParams({ learning: false })
+}
+
+describe('createSpectralDenoiser', () => {
+  it('passes audio through, a frame late, with no profile', () => {
+    const denoiser = createSpectralDenoiser({ sampleRate: SAMPLE_RATE })
+    const input = noise(SAMPLE_RATE / 4, 0.5)
+    const output = run(denoiser, input)
+    let error = 0
+    for (let i = FRAME_SIZE; i < input.length; i++) {
+      error = Math.max(error, Math.abs(output[i] - input[i - FRAME_SIZE]))
+    }
+    expect(error).toBeLessThan(1e-5)
+  })
+
+  it('reports the profile it learned', () => {
+    const emit = vi.fn()
+    const denoiser = createSpectralDenoiser({ sampleRate: SAMPLE_RATE, emit })
+    learn(denoiser, noise(SAMPLE_RATE, 0.05))
+
+    expect(emit).toHaveBeenCalledTimes(1)
+    const { noiseProfile } = emit.mock.calls[0][0]
+    expect(noiseProfile).toHaveLength(FRAME_SIZE / 2 + 1)
+    expect(noiseProfile.every(power => power > 0)).toBe(true)
+  })
+
+  it('turns down the learned noise and keeps louder sounds', () => {
+    const denoiser = createSpectralDenoiser({ sampleRate: SAMPLE_RATE, strength: 100 })
+    const background = noise(SAMPLE_RATE, 0.05)
+    learn(denoiser, background)
+
+    expect(settledDb(run(denoiser, background)) - settledDb(background)).toBeLessThan(-15)
+
+    const tone = sine(SAMPLE_RATE, 1000, 0.5)
+    expect(settledDb(run(denoiser, tone)) - settledDb(tone)).toBeCloseTo(0, 0)
+  })
+
+  it('scales the reduction with strength', () => {
+    const background = noise(SAMPLE_RATE, 0.05)
+    const reductionAt = (strength) => {
+      const denoiser = createSpectralDenoiser({ sampleRate: SAMPLE_RATE, strength })
+      learn(denoiser, background)
+      return settledDb(run(denoiser, background)) - settledDb(background)
+    }
+    expect(reductionAt(0)).toBeCloseTo(0, 1)
+    expect(reductionAt(50)).toBeLessThan(-3)
+    expect(reductionAt(50)).toBeGreaterThan(reductionAt(100))
+  })
+})
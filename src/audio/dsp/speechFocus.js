@@ -0,0 +1,50 @@
+import { createBiquad, highpassCoefficients, lowpassCoefficients } from './biquad'
+import { dbToGain, timeCoefficient } from './envelope'
+import { createVoiceActivityDetector } from './voiceActivity'
+
+// Voice band the mode emphasizes
+export const SPEECH_BAND = { low: 300, high: 4000 }
+
+// Opens quickly when speech starts and lets go more gently after it ends
+const OPEN_TIME = 10
+const CLOSE_TIME = 150
+
+// Voice-activity driven speech enhancement. While someone is talking the
+// 300 Hz-4 kHz band is boosted by `emphasis` dB on top of the dry signal;
+// between speech it is all turned down by `reduction` dB, a downward
+// expansion of whatever isn't voice. Reports `emit({ speech })` whenever
+// the detector changes its mind.
+export const createSpeechFocus = ({ sampleRate, emit = () => {}, ...initial }) => {
+  let params = { emphasis: 6, reduction: -12, ...initial }
+  const highpass = createBiquad(highpassCoefficients(SPEECH_BAND.low, sampleRate))
+  const lowpass = createBiquad(lowpassCoefficients(SPEECH_BAND.high, sampleRate))
+  const detector = createVoiceActivityDetector({ sampleRate })
+  const openCoeff = timeCoefficient(OPEN_TIME, sampleRate)
+  const closeCoeff = timeCoefficient(CLOSE_TIME, sampleRate)
+  // 0 while there's no speech, 1 once it has fully opened
+  let focus = 0
+  let speech = false
+
+  return {
+    setParams(next) {
+      params = { ...params, ...next }
+    },
+    process(input, output) {
+      const boost = dbToGain(params.emphasis) - 1
+      const floor = dbToGain(params.reduction)
+      for (let i = 0; i < input.length; i++) {
+        const sample = input[i]
+        const band = lowpass.next(highpass.next(sample))
+        const active = detector.next(band, sample)
+        if (active !== speech) {
+          speech = active
+          emit({ speech })
+        }
+
+        const coeff = speech ? openCoeff : closeCoeff
+        focus = coeff * focus + (1 - coeff) * (speech ? 1 : 0)
+        output[i] = sample * (floor + (1 - floor) * focus) + boost * focus * band
+      }
+    }
+  }
+}
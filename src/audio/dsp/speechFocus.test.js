@@ -0,0 +1,59 @@
+import { describe, expect, it, vi } from 'vitest'
+import { dbToGain } from './envelope'
+import { createSpeechFocus } from './speechFocus'
+
+const SAMPLE_RATE = 48000
+
+const seconds = (time) => Math.round(time * SAMPLE_RATE)
+
+const sine = (duration, frequency, db) =>
+  Float32Array.from({ length: seconds(duration) }, (_, i) =>
+    dbToGain(db) * Math.SQRT2 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE))
+
+// A quiet low hum for 3 s, with a 1 kHz "voice" well above it from 1 s to
+// 1.5 s
+const clip = () => {
+  const joined = new Float32Array(seconds(3))
+  joined.set(sine(3, 100, -50))
+  joined.set(sine(0.5, 1000, -20), seconds(1))
+  return joined
+}
+
+// Output over input level in dB across `from` to `to` seconds
+const gainDb = (input, output, from, to) => {
+  const power = (samples) => samples
+    .subarray(seconds(from), seconds(to))
+    .reduce((sum, sample) => sum + sample * sample, 0)
+  return 10 * Math.log10(power(output) / power(input))
+}
+
+const run = (params) => {
+  const emit = vi.fn()
+  const focus = createSpeechFocus({ sampleRate: SAMPLE_RATE, emit, ...params })
+  const input = clip()
+  const output = new Float32Array(input.length)
+  focus.process(input, output)
+  return { input, output, emit }
+}
+
+describe('createSpeechFocus', () => {
+  it('reports when speech starts and stops', () => {
+    const { emit } = run()
+    expect(emit.mock.calls.map(([data]) => data)).toEqual([{ speech: true }, { speech: false }])
+  })
+
+  it('turns down the gaps between speech by the reduction', () => {
+    const { input, output } = run({ emphasis: 0, reduction: -12 })
+    expect(gainDb(input, output, 0.5, 1)).toBeCloseTo(-12, 1)
+    expect(gainDb(input, output, 1.1, 1.5)).toBeCloseTo(0, 1)
+    // Once the hangover and the close time have passed
+    expect(gainDb(input, output, 2.5, 3)).toBeCloseTo(-12, 0)
+  })
+
+  it('boosts the voice band while speech is present', () => {
+    const { input, output } = run({ emphasis: 6, reduction: 0 })
+    const boost = gainDb(input, output, 1.1, 1.5)
+    expect(boost).toBeGreaterThan(4)
+    expect(boost).toBeLessThan(6.5)
+  })
+})
@@ -0,0 +1,57 @@
+// Energy-based voice activity detector, run on 10 ms frames. A frame counts
+// as voice when the voice band (fed in already filtered) rises `margin` dB
+// above its tracked noise floor and carries most of the frame's energy. A
+// hangover bridges the short gaps between words.
+
+const FRAME_TIME = 0.01
+// The noise floor falls quickly to quieter frames and creeps up slowly, so
+// a long stretch of speech doesn't get mistaken for background
+const FLOOR_FALL = 0.2
+const FLOOR_RISE_DB = 0.005
+// Frames quieter than this (dBFS) are never voice, whatever the floor says
+const MIN_VOICE_DB = -65
+const MIN_VOICE_RATIO = 0.4
+
+export const createVoiceActivityDetector = ({ sampleRate, margin = 8, hangover = 250 }) => {
+  const frameLength = Math.max(1, Math.round(FRAME_TIME * sampleRate))
+  const hangoverFrames = Math.round(hangover / 1000 / FRAME_TIME)
+  let bandEnergy = 0
+  let totalEnergy = 0
+  let count = 0
+  let floorDb = null
+  let hold = 0
+
+  const endFrame = () => {
+    const bandDb = 10 * Math.log10(Math.max(bandEnergy / frameLength, 1e-12))
+    const ratio = totalEnergy > 0 ? bandEnergy / totalEnergy : 0
+
+    if (floorDb === null || bandDb < floorDb) {
+      floorDb = floorDb === null ? bandDb : floorDb + FLOOR_FALL * (bandDb - floorDb)
+    } else {
+      floorDb += FLOOR_RISE_DB
+    }
+
+    if (bandDb > MIN_VOICE_DB && bandDb > floorDb + margin && ratio > MIN_VOICE_RATIO) {
+      hold = hangoverFrames + 1
+    } else if (hold > 0) {
+      hold--
+    }
+
+    bandEnergy = 0
+    totalEnergy = 0
+    count = 0
+  }
+
+  return {
+    // Takes the voice-band and full-band versions of the same sample and
+    // returns whether voice is currently present
+    next(bandSample, sample) {
+      bandEnergy += bandSample * bandSample
+      totalEnergy += sample * sample
+      if (++count === frameLength) {
+        endFrame()
+      }
+      return hold > 0
+    }
+  }
+}
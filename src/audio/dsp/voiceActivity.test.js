@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest'
+import { dbToGain } from './envelope'
+import { createVoiceActivityDetector } from './voiceActivity'
+
+const SAMPLE_RATE = 16000
+const FRAME = SAMPLE_RATE / 100
+
+const noise = (length, db) => {
+  let seed = 3
+  const peak = dbToGain(db) * Math.sqrt(3)
+  return Float32Array.from({ length }, () => {
+    seed = (seed * 16807) % 2147483647
+    return peak * (2 * (seed / 2147483647) - 1)
+  })
+}
+
+const seconds = (time) => Math.round(time * SAMPLE_RATE)
+
+// Feeds `band` and `full` sample by sample and returns the decision after
+// each one. The full band defaults to the voice band, i.e. all of the
+// energy is in it.
+const decisions = (detector, band, full = band) =>
+  Array.from(band, (sample, i) => detector.next(sample, full[i]))
+
+const concat = (...parts) => {
+  const joined = new Float32Array(parts.reduce((length, part) => length + part.length, 0))
+  parts.reduce((offset, part) => {
+    joined.set(part, offset)
+    return offset + part.length
+  }, 0)
+  return joined
+}
+
+describe('createVoiceActivityDetector', () => {
+  it('ignores steady background noise', () => {
+    const detector = createVoiceActivityDetector({ sampleRate: SAMPLE_RATE })
+    expect(decisions(detector, noise(seconds(2), -40)).some(Boolean)).toBe(false)
+  })
+
+  it('picks up a voice-band burst above the floor within a frame', () => {
+    const detector = createVoiceActivityDetector({ sampleRate: SAMPLE_RATE })
+    const result = decisions(detector, concat(noise(seconds(1), -50), noise(seconds(0.5), -25)))
+    expect(result[seconds(1) - 1]).toBe(false)
+    expect(result.indexOf(true)).toBeLessThanOrEqual(seconds(1) + 2 * FRAME)
+  })
+
+  it('bridges short gaps with the hangover and lets go after it', () => {
+    const detector = createVoiceActivityDetector({ sampleRate: SAMPLE_RATE, hangover: 250 })
+    const result = decisions(detector, concat(noise(seconds(1), -50), noise(seconds(0.5), -25), noise(seconds(1), -50)))
+    const end = seconds(1.5)
+    expect(result[end + seconds(0.2)]).toBe(true)
+    expect(result[end + seconds(0.3)]).toBe(false)
+  })
+
+  it('ignores loud sounds that are mostly outside the voice band', () => {
+    const detector = createVoiceActivityDetector({ sampleRate: SAMPLE_RATE })
+    const full = concat(noise(seconds(1), -50), noise(seconds(0.5), -15))
+    const band = full.map(sample => sample * 0.3)
+    expect(decisions(detector, band, full).some(Boolean)).toBe(false)
+  })
+
+  it('ignores bursts that are still very quiet', () => {
+    const detector = createVoiceActivityDetector({ sampleRate: SAMPLE_RATE })
+    const result = decisions(detector, concat(noise(seconds(1), -100), noise(seconds(0.5), -70)))
+    expect(result.some(Boolean)).toBe(false)
+  })
+})
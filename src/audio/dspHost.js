@@ -0,0 +1,51 @@
+import dspHostUrl from './worklet/dspHostProcessor.js?worker&url'
+
+export const DSP_HOST_NAME = 'dsp-host'
+
+export const isDspHostSupported = (audioContext) =>
+  typeof AudioWorkletNode !== 'undefined' && Boolean(audioContext.audioWorklet)
+
+// Loads the worklet and returns a node that runs the enabled modules, mono
+// unless `channels` says otherwise. Resolves to null where AudioWorklet isn't
+// available so callers can fall back to a plain stock-node chain.
+// `onModuleMessage(id, data)` receives whatever modules emit.
+export const createDspHost = async (audioContext, modules = [], onModuleMessage = () => {}, { channels = 1 } = {}) => {
+  if (!isDspHostSupported(audioContext)) return null
+
+  await audioContext.audioWorklet.addModule(dspHostUrl)
+
+  const node = new AudioWorkletNode(audioContext, DSP_HOST_NAME, {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [channels],
+    channelCount: channels,
+    channelCountMode: 'explicit',
+    // The processor starts with the modules, so nothing passes through
+    // unprocessed while the first `configure` is in flight
+    processorOptions: { channelCount: channels, modules }
+  })
+
+  node.port.onmessage = (event) => {
+    if (event.data.type === 'module') {
+      onModuleMessage(event.data.id, event.data.data)
+    }
+  }
+
+  const host = {
+    node,
+    configure(nextModules) {
+      node.port.postMessage({ type: 'configure', modules: nextModules })
+    },
+    setParams(id, params) {
+      node.port.postMessage({ type: 'params', id, params })
+    }
+  }
+
+  return host
+}
+
+// Turns the enabled-module settings map into the ordered list the host expects
+export const toHostModules = (settings) =>
+  Object.entries(settings)
+    .filter(([, module]) => module.enabled)
+    .map(([type, module]) => ({ id: type, type, params: module.params }))
@@ -0,0 +1,461 @@
+import { buildProcessingChain } from './chain'
+import { applyBandSettings } from './compressor'
+import { createBeamformer } from './beamformer'
+import { applyOutputDevice } from './devices'
+import { setEqBandGain } from './equalizer'
+import { LOOPBACK_CLICK_DELAY, LOOPBACK_DURATION, createClick, loopbackLatencyMs } from './latency'
+import { startRecording } from './recorder'
+import { EVENT_FFT_SIZE } from './soundEvents'
+import { EARS, setEarGain } from './stereo'
+
+// Events an engine emits, with the payload each listener receives
+export const ENGINE_EVENTS = {
+  // { running: boolean }
+  STATE: 'statechange',
+  // { id, data } posted by a DSP module running in the worklet
+  MODULE_MESSAGE: 'modulemessage',
+  // { available: boolean } once the DSP worklet has loaded, or failed to
+  DSP_AVAILABILITY: 'dspavailability',
+  // { error } when the chosen output device couldn't be used and the
+  // system default plays instead
+  OUTPUT_FALLBACK: 'outputfallback',
+  // { reason } when a running graph goes silent without being stopped, and
+  // { reason: null } once it's back. Reasons are 'context' (the browser
+  // suspended or interrupted audio), 'inputMuted' (the system took the
+  // microphone, e.g. for a call) and 'inputEnded' (the microphone went away).
+  INTERRUPTION: 'interruption'
+}
+
+// Inputs swap over this long (seconds) so there is no gap or click
+const CROSSFADE_TIME = 0.03
+// Smoothing time constant for gain and cutoff changes on the live graph
+const PARAM_SMOOTHING = 0.02
+// Track constraints the browser may quietly leave as they were
+const PROCESSING_CONSTRAINTS = ['echoCancellation', 'noiseSuppression', 'autoGainControl']
+
+const rampParam = (node, name, value) => {
+  node[name].setTargetAtTime(value, node.context.currentTime, PARAM_SMOOTHING)
+}
+
+// A sample rate of 0 leaves the choice to the browser
+const createDefaultContext = ({ latencyHint, sampleRate }) =>
+  new (window.AudioContext || window.webkitAudioContext)({ latencyHint, sampleRate: sampleRate || undefined })
+
+// Inputs are `{ type: 'microphone', constraints }` for getUserMedia, or
+// `{ type: 'buffer', load(audioContext) }` resolving to an AudioBuffer that
+// plays on a loop (files and test signals)
+const openInput = async (audioContext, input) => {
+  if (input.type === 'microphone') {
+    const stream = await navigator.mediaDevices.getUserMedia(input.constraints)
+    return { stream, node: audioContext.createMediaStreamSource(stream) }
+  }
+
+  const node = audioContext.createBufferSource()
+  node.buffer = await input.load(audioContext)
+  node.loop = true
+  node.start()
+  return { stream: null, node }
+}
+
+// What is keeping a running graph silent, if anything
+const findInterruption = (audioContext, stream) => {
+  if (audioContext.state !== 'running') return 'context'
+  const track = stream?.getAudioTracks()[0]
+  if (track?.readyState === 'ended') return 'inputEnded'
+  if (track?.muted) return 'inputMuted'
+  return null
+}
+
+const applyCompressor = (nodes, params) => {
+  nodes.compressors.forEach((compressor, index) => {
+    applyBandSettings(compressor, params.compressorBands[index], params.compressorRatios[index])
+  })
+}
+
+const applyFilterGains = (filtersFor) => (nodes, gains) => {
+  EARS.forEach(ear => {
+    filtersFor(nodes.ears[ear]).forEach((filter, index) => {
+      setEqBandGain(filter, gains[ear][index])
+    })
+  })
+}
+
+// How each chain param reaches a running graph
+const PARAM_HANDLERS = {
+  micGain: (nodes, value) => rampParam(nodes.inputGain, 'gain', value),
+  outputVolume: (nodes, value) => rampParam(nodes.outputGain, 'gain', value),
+  highpassFrequency: (nodes, value) => rampParam(nodes.filter, 'frequency', value),
+  compressorBands: (nodes, value, params) => applyCompressor(nodes, params),
+  compressorRatios: (nodes, value, params) => applyCompressor(nodes, params),
+  dspModules: (nodes, modules) => nodes.dspHost?.configure(modules),
+  prescriptionGains: applyFilterGains(ear => ear.prescriptionFilters),
+  eqGains: applyFilterGains(ear => ear.eqFilters),
+  earGains: (nodes, gains) => {
+    EARS.forEach(ear => setEarGain(nodes.ears[ear].gain, gains[ear]))
+  },
+  maxOutputDb: (nodes, value) => nodes.outputLimiter.setCeiling(value)
+}
+
+// Params that belong to the current input rather than the shared chain.
+// `focusDirection` steers the beamformer of a multi-channel microphone;
+// null leaves channels to the browser's own downmix.
+const INPUT_PARAM_HANDLERS = {
+  focusDirection: (input, value) => {
+    if (value !== null) {
+      input.beamformer?.setDirection(value)
+    }
+  }
+}
+
+// Owns the live audio graph: context, input, processing chain and meter
+// taps. Framework-independent; UI code drives it through start/stop/setParam
+// and listens for ENGINE_EVENTS. `createContext` can be swapped for a mock
+// or an OfflineAudioContext factory in tests.
+export class AmbientAudioEngine {
+  constructor({ createContext = createDefaultContext } = {}) {
+    this.createContext = createContext
+    this.listeners = {}
+    this.params = null
+    this.reset()
+  }
+
+  reset() {
+    this.context = null
+    // Every input feeds the chain through its own fader into this bus
+    this.inputBus = null
+    this.input = null
+    this.releasing = new Set()
+    this.nodes = null
+    this.analysers = null
+    this.interruption = null
+    this.reopening = null
+  }
+
+  get running() {
+    return Boolean(this.nodes)
+  }
+
+  get stream() {
+    return this.input?.stream ?? null
+  }
+
+  get source() {
+    return this.input?.node ?? null
+  }
+
+  // Returns a function that removes the listener
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = new Set()
+    }
+    this.listeners[type].add(listener)
+    return () => this.listeners[type].delete(listener)
+  }
+
+  emit(type, detail) {
+    this.listeners[type]?.forEach(listener => listener(detail))
+  }
+
+  async start({ input, params, latencyHint = 'interactive', sampleRate = 44100, outputDeviceId = '' }) {
+    this.stop()
+    const audioContext = this.createContext({ latencyHint, sampleRate })
+    this.context = audioContext
+    // Inputs read their own params (e.g. focus) as they connect
+    this.params = params
+    audioContext.addEventListener('statechange', () => {
+      if (audioContext !== this.context) return
+      // Nothing comes back from a closed context; say so instead of
+      // claiming to still be running
+      if (audioContext.state === 'closed') {
+        this.stop()
+      } else {
+        this.updateInterruption()
+      }
+    })
+
+    try {
+      if (audioContext.state === 'suspended') {
+        await audioContext.resume()
+      }
+
+      if (outputDeviceId) {
+        try {
+          await applyOutputDevice(audioContext, outputDeviceId)
+        } catch (error) {
+          this.emit(ENGINE_EVENTS.OUTPUT_FALLBACK, { error })
+        }
+      }
+
+      this.inputBus = audioContext.createGain()
+      this.input = this.connectInput(await openInput(audioContext, input), input, false)
+
+      const nodes = await buildProcessingChain(audioContext, params, (id, data) => {
+        this.emit(ENGINE_EVENTS.MODULE_MESSAGE, { id, data })
+      })
+      this.emit(ENGINE_EVENTS.DSP_AVAILABILITY, { available: Boolean(nodes.dspHost) })
+
+      // Level meters tap the raw input and the final output
+      const inputAnalyser = audioContext.createAnalyser()
+      const outputAnalyser = audioContext.createAnalyser()
+      inputAnalyser.fftSize = 2048
+      outputAnalyser.fftSize = 2048
+      // Sound event detection wants each frame as it is, not averaged
+      const eventAnalyser = audioContext.createAnalyser()
+      eventAnalyser.fftSize = EVENT_FFT_SIZE
+      eventAnalyser.smoothingTimeConstant = 0
+
+      this.inputBus.connect(nodes.input)
+      nodes.output.connect(audioContext.destination)
+      this.inputBus.connect(inputAnalyser)
+      this.inputBus.connect(eventAnalyser)
+      nodes.output.connect(outputAnalyser)
+
+      this.analysers = { input: inputAnalyser, output: outputAnalyser, spectrum: nodes.analyser, events: eventAnalyser }
+      this.nodes = nodes
+    } catch (err) {
+      this.stop()
+      throw err
+    }
+
+    this.emit(ENGINE_EVENTS.STATE, { running: true })
+    this.updateInterruption()
+  }
+
+  stop() {
+    const wasRunning = this.running
+    this.stream?.getTracks().forEach(track => track.stop())
+    this.releasing.forEach(input => input.stream?.getTracks().forEach(track => track.stop()))
+    if (this.context && this.context.state !== 'closed') {
+      this.context.close()
+    }
+    this.reset()
+
+    if (wasRunning) {
+      this.emit(ENGINE_EVENTS.STATE, { running: false })
+    }
+  }
+
+  setParam(name, value) {
+    this.params = { ...this.params, [name]: value }
+    if (this.nodes && PARAM_HANDLERS[name]) {
+      PARAM_HANDLERS[name](this.nodes, value, this.params)
+    }
+    if (this.input && INPUT_PARAM_HANDLERS[name]) {
+      INPUT_PARAM_HANDLERS[name](this.input, value)
+    }
+  }
+
+  // Applies only the params that changed since they were last set
+  setParams(params) {
+    Object.entries(params).forEach(([name, value]) => {
+      if (this.params?.[name] !== value) {
+        this.setParam(name, value)
+      }
+    })
+  }
+
+  // Routes an opened input into the bus through its own fader. With a focus
+  // direction set, a microphone that delivered more than one channel is
+  // beamformed down to mono on the way. `descriptor` is what was opened, so
+  // the input can be opened again if it ends.
+  connectInput(opened, descriptor, fadeIn) {
+    const track = opened.stream?.getAudioTracks()[0]
+    const checkTrack = () => {
+      if (this.input?.stream === opened.stream) {
+        this.updateInterruption()
+      }
+    }
+    track?.addEventListener('mute', checkTrack)
+    track?.addEventListener('unmute', checkTrack)
+    track?.addEventListener('ended', checkTrack)
+
+    const fader = this.context.createGain()
+    const channelCount = track?.getSettings().channelCount ?? 1
+    const focusDirection = this.params?.focusDirection ?? null
+    let beamformer = null
+    if (channelCount > 1 && focusDirection !== null) {
+      beamformer = createBeamformer(this.context, channelCount)
+      beamformer.setDirection(focusDirection)
+      opened.node.connect(beamformer.input)
+      beamformer.output.connect(fader)
+    } else {
+      opened.node.connect(fader)
+    }
+    fader.connect(this.inputBus)
+    if (fadeIn) {
+      const now = this.context.currentTime
+      fader.gain.setValueAtTime(0, now)
+      fader.gain.linearRampToValueAtTime(1, now + CROSSFADE_TIME)
+    }
+    return { ...opened, descriptor, fader, beamformer }
+  }
+
+  // Fades an input out, then stops and disconnects it
+  releaseInput(input) {
+    const now = this.context.currentTime
+    input.fader.gain.cancelScheduledValues(now)
+    input.fader.gain.setValueAtTime(input.fader.gain.value, now)
+    input.fader.gain.linearRampToValueAtTime(0, now + CROSSFADE_TIME)
+    this.releasing.add(input)
+
+    setTimeout(() => {
+      // stop() has already torn everything down
+      if (!this.releasing.delete(input)) return
+      input.node.disconnect()
+      input.beamformer?.output.disconnect()
+      input.fader.disconnect()
+      if (input.node instanceof AudioBufferSourceNode) {
+        input.node.stop()
+      }
+      input.stream?.getTracks().forEach(track => track.stop())
+    }, CROSSFADE_TIME * 1000 + 20)
+  }
+
+  // Swaps the input under the running chain instead of rebuilding it,
+  // crossfading from the old input to the new one
+  async setInput(input) {
+    if (!this.running) return
+
+    const opened = await openInput(this.context, input)
+    if (!this.running) {
+      opened.stream?.getTracks().forEach(track => track.stop())
+      return
+    }
+    const next = this.connectInput(opened, input, true)
+    this.releaseInput(this.input)
+    this.input = next
+    this.updateInterruption()
+  }
+
+  // Re-checks the context and input after any change to either, reporting
+  // an interruption as it starts and ends and trying to recover from it
+  updateInterruption() {
+    if (!this.running) return
+
+    const reason = findInterruption(this.context, this.stream)
+    if (reason !== this.interruption) {
+      this.interruption = reason
+      this.emit(ENGINE_EVENTS.INTERRUPTION, { reason })
+    }
+    // A muted microphone comes back by itself when the system releases it
+    if (reason === 'context' || reason === 'inputEnded') {
+      // Browsers may refuse while the page is hidden; the UI retries when
+      // it comes back
+      this.recover().catch(() => {})
+    }
+  }
+
+  // Resumes a suspended context and reopens an input that ended. Resuming
+  // can need a user gesture, so this also backs a Resume button.
+  async recover() {
+    if (!this.running) return
+
+    if (this.context.state !== 'running') {
+      await this.context.resume()
+    }
+    if (this.stream?.getAudioTracks()[0]?.readyState === 'ended' && !this.reopening) {
+      this.reopening = this.setInput(this.input.descriptor)
+      try {
+        await this.reopening
+      } finally {
+        this.reopening = null
+      }
+    }
+  }
+
+  async setOutputDevice(deviceId) {
+    if (this.context) {
+      await applyOutputDevice(this.context, deviceId)
+    }
+  }
+
+  // New constraints go straight to the live track. They replace the track's
+  // whole set, so `constraints` must include the device, channel count and
+  // the rest, not just what changed. Browsers that reject them, or accept
+  // them without changing the track's processing, get `fallbackInput` opened
+  // and crossfaded in instead; nothing else in the graph is rebuilt.
+  async applyConstraints(constraints, fallbackInput) {
+    const track = this.stream?.getAudioTracks()[0]
+    if (!track) return
+
+    try {
+      await track.applyConstraints(constraints)
+      const settings = track.getSettings()
+      const honoured = PROCESSING_CONSTRAINTS
+        .filter(name => name in constraints && name in settings)
+        .every(name => settings[name] === constraints[name])
+      if (honoured) return
+    } catch (err) {
+      if (!fallbackInput) throw err
+    }
+
+    if (fallbackInput) {
+      await this.setInput(fallbackInput)
+    }
+  }
+
+  // A MediaStream track of the processed signal, taken before the volume
+  // and safety stages so it doesn't go quiet with them. For consumers
+  // outside Web Audio such as speech recognition; `release()` disconnects it.
+  captureProcessedTrack() {
+    if (!this.running) return null
+    const { context, nodes } = this
+    const destination = context.createMediaStreamDestination()
+    nodes.analyser.connect(destination)
+    const [track] = destination.stream.getAudioTracks()
+
+    return {
+      track,
+      release: () => {
+        track.stop()
+        if (this.context === context) {
+          nodes.analyser.disconnect(destination)
+        }
+      }
+    }
+  }
+
+  // What the browser reports about the running graph; any field can be
+  // undefined where the browser doesn't expose it
+  latencyInfo() {
+    if (!this.running) return null
+    const track = this.stream?.getAudioTracks()[0]
+    return {
+      baseLatency: this.context.baseLatency,
+      outputLatency: this.context.outputLatency,
+      sampleRate: this.context.sampleRate,
+      track: track ? track.getSettings() : null
+    }
+  }
+
+  // Plays a click straight to the speakers and times how long it takes to
+  // come back through the input. The processed output is muted meanwhile so
+  // the chain doesn't add an echo of its own. Resolves to milliseconds, or
+  // null when the click was never heard.
+  async measureRoundTrip() {
+    if (!this.running) return null
+    const { context, nodes } = this
+
+    const click = context.createBufferSource()
+    click.buffer = context.createBuffer(1, Math.round(LOOPBACK_DURATION * context.sampleRate), context.sampleRate)
+    click.buffer.copyToChannel(createClick(context.sampleRate), 0)
+    // Past the volume control but still through the safety gain and limiter
+    click.connect(nodes.safetyGain)
+
+    const session = await startRecording(context, {
+      reference: { node: click, channels: 1 },
+      captured: { node: this.inputBus, channels: 1 }
+    })
+    rampParam(nodes.outputGain, 'gain', 0)
+    click.start(context.currentTime + LOOPBACK_CLICK_DELAY)
+
+    await new Promise(resolve => setTimeout(resolve, (LOOPBACK_CLICK_DELAY + LOOPBACK_DURATION) * 1000))
+    const { reference, captured } = await session.stop()
+    click.disconnect()
+
+    // Listening may have stopped or restarted while we waited
+    if (this.context !== context) return null
+    rampParam(nodes.outputGain, 'gain', this.params.outputVolume)
+    return loopbackLatencyMs(reference[0], captured[0], session.sampleRate)
+  }
+}
@@ -0,0 +1,251 @@
+import { describe, expect, it, vi } from 'vitest'
+import { AmbientAudioEngine, ENGINE_EVENTS } from './engine'
+import { WDRC_PRESETS } from './compressor'
+import { createDefaultEqGains } from './equalizer'
+import { AUDIOGRAM_FREQUENCIES } from './fitting'
+import { LOOPBACK_CLICK_DELAY, LOOPBACK_DURATION } from './latency'
+
+// Recording needs an AudioWorklet; hand back silence instead
+vi.mock('./recorder', () => ({
+  startRecording: async (audioContext, taps) => ({
+    sampleRate: audioContext.sampleRate,
+    stop: async () => Object.fromEntries(Object.keys(taps).map(key => [key, [new Float32Array(4800)]]))
+  })
+}))
+
+const createParam = (value = 0) => ({
+  value,
+  setValueAtTime: vi.fn(),
+  setTargetAtTime: vi.fn(),
+  linearRampToValueAtTime: vi.fn(),
+  cancelScheduledValues: vi.fn()
+})
+
+// A node whose AudioParams (gain, frequency, threshold...) appear on first use
+const createNode = (context) => new Proxy(
+  { context, connect: vi.fn(), disconnect: vi.fn(), start: vi.fn(), stop: vi.fn() },
+  {
+    get(target, key) {
+      if (typeof key === 'string' && !(key in target)) {
+        target[key] = createParam()
+      }
+      return target[key]
+    }
+  }
+)
+
+// Enough of an AudioContext for the engine to build its graph. There is no
+// AudioWorklet, so the chain falls back to stock nodes. State changes are
+// announced asynchronously, like a real context does.
+class MockAudioContext {
+  constructor({ latencyHint, sampleRate }) {
+    this.latencyHint = latencyHint
+    this.sampleRate = sampleRate || 48000
+    this.state = 'running'
+    this.currentTime = 0
+    this.destination = createNode(this)
+    this.listeners = []
+    this.resume = vi.fn(async () => this.setState('running'))
+    this.close = vi.fn(async () => this.setState('closed'))
+  }
+
+  addEventListener(type, listener) {
+    if (type === 'statechange') {
+      this.listeners.push(listener)
+    }
+  }
+
+  setState(state) {
+    this.state = state
+    Promise.resolve().then(() => this.listeners.forEach(listener => listener()))
+  }
+
+  createGain() { return createNode(this) }
+  createBiquadFilter() { return createNode(this) }
+  createAnalyser() { return createNode(this) }
+  createDynamicsCompressor() { return createNode(this) }
+  createChannelMerger() { return createNode(this) }
+  createChannelSplitter() { return createNode(this) }
+  createDelay() { return createNode(this) }
+  createBufferSource() { return createNode(this) }
+  createBuffer() { return { copyToChannel: vi.fn() } }
+  createMediaStreamSource() { return createNode(this) }
+}
+
+const createParams = () => ({
+  micGain: 1,
+  outputVolume: 0.8,
+  highpassFrequency: 80,
+  compressorBands: WDRC_PRESETS.speech.bands,
+  compressorRatios: [],
+  dspModules: [],
+  prescriptionGains: { left: AUDIOGRAM_FREQUENCIES.map(() => 0), right: AUDIOGRAM_FREQUENCIES.map(() => 0) },
+  eqGains: { left: createDefaultEqGains(), right: createDefaultEqGains() },
+  earGains: { left: 1, right: 1 },
+  maxOutputDb: -6,
+  focusDirection: null
+})
+
+const bufferInput = { type: 'buffer', load: async () => ({}) }
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+// `contextMethods` are added to every context, e.g. setSinkId
+const createEngine = (contextMethods = {}) => {
+  const contexts = []
+  const engine = new AmbientAudioEngine({
+    createContext: (options) => {
+      const context = Object.assign(new MockAudioContext(options), contextMethods)
+      contexts.push(context)
+      return context
+    }
+  })
+  const events = []
+  Object.values(ENGINE_EVENTS).forEach(type => {
+    engine.on(type, detail => events.push({ type, ...detail }))
+  })
+  return { engine, contexts, events }
+}
+
+describe('AmbientAudioEngine', () => {
+  it('builds the graph on start and reports it running', async () => {
+    const { engine, contexts, events } = createEngine()
+    await engine.start({ input: bufferInput, params: createParams(), latencyHint: 'balanced', sampleRate: 44100 })
+
+    expect(contexts).toHaveLength(1)
+    expect(contexts[0].latencyHint).toBe('balanced')
+    expect(contexts[0].sampleRate).toBe(44100)
+    expect(engine.running).toBe(true)
+    expect(Object.keys(engine.analysers)).toEqual(['input', 'output', 'spectrum', 'events'])
+    expect(engine.nodes.outputGain.gain.value).toBe(0.8)
+    expect(events).toEqual([
+      { type: ENGINE_EVENTS.DSP_AVAILABILITY, available: false },
+      { type: ENGINE_EVENTS.STATE, running: true }
+    ])
+  })
+
+  it('sends changed params to the running graph', async () => {
+    const { engine } = createEngine()
+    await engine.start({ input: bufferInput, params: createParams() })
+    const { inputGain, outputGain } = engine.nodes
+
+    engine.setParam('outputVolume', 0.3)
+    expect(outputGain.gain.setTargetAtTime).toHaveBeenCalledWith(0.3, 0, expect.any(Number))
+
+    engine.setParams({ ...engine.params, micGain: 1, outputVolume: 0.5 })
+    expect(inputGain.gain.setTargetAtTime).not.toHaveBeenCalled()
+    expect(outputGain.gain.setTargetAtTime).toHaveBeenLastCalledWith(0.5, 0, expect.any(Number))
+  })
+
+  it('tears everything down on stop', async () => {
+    const { engine, contexts, events } = createEngine()
+    await engine.start({ input: bufferInput, params: createParams() })
+    engine.stop()
+    await flush()
+
+    expect(contexts[0].close).toHaveBeenCalledTimes(1)
+    expect(engine.running).toBe(false)
+    expect(engine.analysers).toBeNull()
+    expect(events.filter(event => event.type === ENGINE_EVENTS.STATE)).toEqual([
+      { type: ENGINE_EVENTS.STATE, running: true },
+      { type: ENGINE_EVENTS.STATE, running: false }
+    ])
+
+    // Stopping again is a no-op
+    engine.stop()
+    expect(events.filter(event => event.type === ENGINE_EVENTS.STATE)).toHaveLength(2)
+  })
+
+  it('closes the context and never reports running when start fails', async () => {
+    const { engine, contexts, events } = createEngine()
+    const input = { type: 'buffer', load: async () => { throw new Error('decode failed') } }
+
+    await expect(engine.start({ input, params: createParams() })).rejects.toThrow('decode failed')
+    expect(contexts[0].close).toHaveBeenCalled()
+    expect(engine.running).toBe(false)
+    expect(events.some(event => event.type === ENGINE_EVENTS.STATE)).toBe(false)
+  })
+
+  it('falls back to the default output when the device cannot be used', async () => {
+    const error = new Error('device gone')
+    const { engine, events } = createEngine({ setSinkId: async () => { throw error } })
+    await engine.start({ input: bufferInput, params: createParams(), outputDeviceId: 'usb' })
+
+    expect(engine.running).toBe(true)
+    expect(events).toContainEqual({ type: ENGINE_EVENTS.OUTPUT_FALLBACK, error })
+  })
+
+  it('reports an interrupted context and resumes it', async () => {
+    const { engine, contexts, events } = createEngine()
+    await engine.start({ input: bufferInput, params: createParams() })
+
+    contexts[0].setState('suspended')
+    await flush()
+
+    expect(contexts[0].resume).toHaveBeenCalled()
+    expect(events.filter(event => event.type === ENGINE_EVENTS.INTERRUPTION)).toEqual([
+      { type: ENGINE_EVENTS.INTERRUPTION, reason: 'context' },
+      { type: ENGINE_EVENTS.INTERRUPTION, reason: null }
+    ])
+  })
+
+  it('stops when the browser closes the context', async () => {
+    const { engine, contexts, events } = createEngine()
+    await engine.start({ input: bufferInput, params: createParams() })
+
+    contexts[0].setState('closed')
+    await flush()
+
+    expect(engine.running).toBe(false)
+    expect(events).toContainEqual({ type: ENGINE_EVENTS.STATE, running: false })
+  })
+  it('plays the round-trip click through the output limiter', async () => {
+    const { engine, contexts } = createEngine()
+    await engine.start({ input: bufferInput, params: createParams() })
+    const createBufferSource = vi.spyOn(contexts[0], 'createBufferSource')
+
+    vi.useFakeTimers()
+    const measuring = engine.measureRoundTrip()
+    await vi.advanceTimersByTimeAsync((LOOPBACK_CLICK_DELAY + LOOPBACK_DURATION) * 1000)
+    await measuring
+    vi.useRealTimers()
+
+    const [click] = createBufferSource.mock.results.map(result => result.value)
+    expect(click.connect).toHaveBeenCalledWith(engine.nodes.safetyGain)
+    expect(click.connect).not.toHaveBeenCalledWith(contexts[0].destination)
+    expect(engine.nodes.safetyGain.connect).toHaveBeenCalledWith(engine.nodes.outputLimiter.input)
+  })
+  it('keeps the whole constraint set when changing processing in place', async () => {
+    const settings = { deviceId: 'usb', channelCount: 1, echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+    const track = {
+      readyState: 'live',
+      muted: false,
+      applyConstraints: vi.fn(async (constraints) => Object.assign(settings, { echoCancellation: constraints.echoCancellation })),
+      getSettings: () => ({ ...settings }),
+      addEventListener: vi.fn(),
+      removeEventListener: vi.fn(),
+      stop: vi.fn()
+    }
+    const stream = { getAudioTracks: () => [track], getTracks: () => [track] }
+    const getUserMedia = vi.fn(async () => stream)
+    vi.stubGlobal('navigator', { mediaDevices: { getUserMedia } })
+
+    const { engine } = createEngine()
+    const input = { type: 'microphone', constraints: { audio: {} } }
+    await engine.start({ input, params: createParams() })
+    const constraints = {
+      deviceId: { exact: 'usb' },
+      channelCount: 1,
+      echoCancellation: false,
+      noiseSuppression: true,
+      autoGainControl: true
+    }
+    await engine.applyConstraints(constraints, input)
+    vi.unstubAllGlobals()
+
+    expect(track.applyConstraints).toHaveBeenCalledWith(constraints)
+    // Only the processing is compared, so the device constraint doesn't
+    // count as ignored and no new microphone is opened
+    expect(getUserMedia).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,43 @@
+// Center frequencies for the graphic equalizer, weighted toward the 2-8 kHz
+// region where high-frequency hearing loss usually starts
+export const EQ_BANDS = [250, 500, 1000, 2000, 3000, 4000, 6000, 8000]
+
+export const EQ_MAX_GAIN = 12
+export const EQ_MIN_GAIN = -12
+
+export const EQ_Q = 1.4
+const GAIN_SMOOTHING = 0.02
+
+export const createDefaultEqGains = () => EQ_BANDS.map(() => 0)
+
+export const formatBandLabel = (frequency) =>
+  frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`
+
+// Builds a series of peaking filters and returns the first and last node so
+// the caller can splice the equalizer into an existing chain
+export const createEqualizer = (audioContext, gains = createDefaultEqGains(), bands = EQ_BANDS) => {
+  const filters = bands.map((frequency, index) => {
+    const filter = audioContext.createBiquadFilter()
+    filter.type = 'peaking'
+    filter.frequency.value = frequency
+    filter.Q.value = EQ_Q
+    filter.gain.value = gains[index] ?? 0
+    return filter
+  })
+
+  for (let i = 0; i < filters.length - 1; i++) {
+    filters[i].connect(filters[i + 1])
+  }
+
+  return {
+    input: filters[0],
+    output: filters[filters.length - 1],
+    filters
+  }
+}
+
+// Ramp instead of jumping so dragging a slider doesn't click
+export const setEqBandGain = (filter, gain) => {
+  const { currentTime } = filter.context
+  filter.gain.setTargetAtTime(gain, currentTime, GAIN_SMOOTHING)
+}
@@ -0,0 +1,71 @@
+// Noise-dose bookkeeping using equal-energy exposure rules. Levels are
+// estimated dB SPL at the ear, derived from output dBFS and the headphones'
+// full-scale level; no frequency weighting is applied, so treat the numbers
+// as an approximation of dBA.
+
+export const EXPOSURE_STANDARDS = {
+  niosh: { label: 'NIOSH', criterion: 85, hours: 8, exchangeRate: 3 },
+  // WHO safe listening: 80 dB for 40 hours a week, spread over seven days
+  who: { label: 'WHO', criterion: 80, hours: 40 / 7, exchangeRate: 3 }
+}
+
+export const DOSE_WARNING = 0.8
+export const DOSE_LIMIT = 1
+
+// Output is held this far below the criterion once the daily dose is used up
+const DOSE_EXCEEDED_MARGIN = 10
+const MOMENTARY_WARNING_MARGIN = 5
+const HISTORY_DAYS = 14
+
+// Range of the hard output ceiling, in dBFS
+export const MAX_OUTPUT_LIMITS = { min: -30, max: -1 }
+
+export const createDefaultSafetySettings = () => ({
+  standard: 'niosh',
+  // Level the headphones produce at 0 dBFS; typical earbuds reach ~100 dB SPL
+  fullScaleSpl: 100,
+  momentaryLimit: 100,
+  // Peak ceiling of the final limiter; raising it needs explicit confirmation
+  maxOutputDb: -6
+})
+
+export const allowedHours = (levelSpl, standard) => {
+  const { criterion, hours, exchangeRate } = EXPOSURE_STANDARDS[standard]
+  return hours / Math.pow(2, (levelSpl - criterion) / exchangeRate)
+}
+
+// Fraction of the daily allowance used by `seconds` at `levelSpl`
+export const doseIncrement = (levelSpl, seconds, standard) =>
+  seconds / 3600 / allowedHours(levelSpl, standard)
+
+export const dayKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+// Adds to the given day's dose and drops days older than the history window
+export const addDose = (history, key, increment) => {
+  const next = { ...history, [key]: (history[key] ?? 0) + increment }
+  const keys = Object.keys(next).sort()
+  keys.slice(0, Math.max(0, keys.length - HISTORY_DAYS)).forEach(old => {
+    delete next[old]
+  })
+  return next
+}
+
+export const safetyStatus = (dose, levelSpl, settings) => {
+  if (dose >= DOSE_LIMIT || levelSpl > settings.momentaryLimit) return 'limiting'
+  if (dose >= DOSE_WARNING || levelSpl > settings.momentaryLimit - MOMENTARY_WARNING_MARGIN) return 'warning'
+  return 'ok'
+}
+
+// Highest level allowed through right now
+export const outputCeiling = (dose, settings) =>
+  dose >= DOSE_LIMIT
+    ? EXPOSURE_STANDARDS[settings.standard].criterion - DOSE_EXCEEDED_MARGIN
+    : settings.momentaryLimit
+
+// Attenuation (<= 0 dB) needed to bring an unattenuated level down to the ceiling
+export const requiredAttenuationDb = (unattenuatedSpl, ceilingSpl) =>
+  Math.min(0, ceilingSpl - unattenuatedSpl)
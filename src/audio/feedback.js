@@ -0,0 +1,152 @@
+// Acoustic feedback (howl) detection and suppression. Detection works on
+// dB magnitude spectra such as AnalyserNode.getFloatFrequencyData returns,
+// so it can be driven from a live analyser or from spectra of synthetic
+// tones rendered in an OfflineAudioContext.
+
+export const FEEDBACK_DEFAULTS = {
+  minFrequency: 200,
+  maxFrequency: 8000,
+  // Peaks quieter than this (dBFS) are ignored
+  minLevel: -60,
+  // How far a peak must stand above its neighbourhood, in dB
+  prominence: 15,
+  // How long (ms) a peak must stay put before it counts as feedback
+  sustain: 400,
+  // Bins a peak may wander from where it first appeared and still be the
+  // same tone
+  tolerance: 2
+}
+
+export const NOTCH_COUNT = 6
+export const NOTCH_DEPTH = -18
+export const NOTCH_Q = 30
+// Notches are released this long (ms) after their howl was last detected
+export const NOTCH_HOLD = 10000
+
+// Neighbourhood used for the prominence check, skipping the peak's own lobe
+const NEIGHBOUR_NEAR = 3
+const NEIGHBOUR_FAR = 12
+const SEMITONE = 1 / 12
+
+const dbToPower = (db) => Math.pow(10, db / 10)
+
+// Local maxima that stand well clear of the surrounding spectrum. Speech
+// and music harmonics show up here too; they are filtered out by requiring
+// the peak to hold still (see createFeedbackDetector).
+export const findTonalPeaks = (spectrum, sampleRate, options = {}) => {
+  const { minFrequency, maxFrequency, minLevel, prominence } = { ...FEEDBACK_DEFAULTS, ...options }
+  const binWidth = sampleRate / (2 * spectrum.length)
+  const first = Math.max(1, Math.ceil(minFrequency / binWidth))
+  const last = Math.min(spectrum.length - 2, Math.floor(maxFrequency / binWidth))
+  const peaks = []
+
+  for (let bin = first; bin <= last; bin++) {
+    const level = spectrum[bin]
+    if (level < minLevel || level <= spectrum[bin - 1] || level < spectrum[bin + 1]) continue
+
+    let power = 0
+    let count = 0
+    for (let offset = NEIGHBOUR_NEAR; offset <= NEIGHBOUR_FAR; offset++) {
+      if (bin - offset >= 0) {
+        power += dbToPower(spectrum[bin - offset])
+        count++
+      }
+      if (bin + offset < spectrum.length) {
+        power += dbToPower(spectrum[bin + offset])
+        count++
+      }
+    }
+    const neighbourhoodDb = 10 * Math.log10(power / count)
+    if (level - neighbourhoodDb >= prominence) {
+      peaks.push({ bin, frequency: bin * binWidth, level })
+    }
+  }
+
+  return peaks
+}
+
+// Tracks tonal peaks across frames and reports the ones that have been
+// sustained long enough to be feedback. Peaks are matched against the bin
+// they started in, so a tone that keeps gliding (a sweep, a sung note)
+// never counts however slowly it moves.
+export const createFeedbackDetector = (options = {}) => {
+  const settings = { ...FEEDBACK_DEFAULTS, ...options }
+  let candidates = []
+
+  return {
+    update(spectrum, sampleRate, now) {
+      candidates = findTonalPeaks(spectrum, sampleRate, settings).map(peak => {
+        const existing = candidates.find(candidate => Math.abs(candidate.anchor - peak.bin) <= settings.tolerance)
+        return existing
+          ? { ...peak, anchor: existing.anchor, since: existing.since }
+          : { ...peak, anchor: peak.bin, since: now }
+      })
+      return candidates.filter(candidate => now - candidate.since >= settings.sustain)
+    },
+    reset() {
+      candidates = []
+    }
+  }
+}
+
+export const createEmptyNotches = (count = NOTCH_COUNT) => Array(count).fill(null)
+
+// Assigns detections to a fixed set of notch slots. Slots keep their index
+// so a filter never jumps from one frequency to another while active; a
+// detection within a semitone of an active notch refreshes it, otherwise it
+// takes a free slot or the one that has been quiet longest.
+export const updateNotches = (slots, detections, now, hold = NOTCH_HOLD) => {
+  const next = slots.map(slot => (slot && now - slot.lastSeen < hold ? slot : null))
+
+  detections.forEach(({ frequency }) => {
+    const match = next.findIndex(slot => slot && Math.abs(Math.log2(frequency / slot.frequency)) < SEMITONE)
+    if (match >= 0) {
+      next[match] = { ...next[match], lastSeen: now }
+      return
+    }
+    let target = next.indexOf(null)
+    if (target < 0) {
+      target = next.reduce((oldest, slot, index) => (slot.lastSeen < next[oldest].lastSeen ? index : oldest), 0)
+    }
+    next[target] = { frequency, since: now, lastSeen: now }
+  })
+
+  return next
+}
+
+export const activeNotchFrequencies = (slots) =>
+  slots.filter(Boolean).map(slot => slot.frequency).sort((a, b) => a - b)
+
+// Series of narrow cuts, flat until notches are assigned to them
+export const createNotchBank = (audioContext, count = NOTCH_COUNT) => {
+  const filters = Array.from({ length: count }, () => {
+    const filter = audioContext.createBiquadFilter()
+    filter.type = 'peaking'
+    filter.frequency.value = 1000
+    filter.Q.value = NOTCH_Q
+    filter.gain.value = 0
+    return filter
+  })
+
+  filters.reduce((previous, filter) => {
+    previous.connect(filter)
+    return filter
+  })
+
+  return { input: filters[0], output: filters[filters.length - 1], filters }
+}
+
+export const applyNotches = (filters, slots) => {
+  filters.forEach((filter, index) => {
+    const slot = slots[index]
+    const now = filter.context.currentTime
+    if (slot) {
+      if (filter.frequency.value !== slot.frequency) {
+        filter.frequency.setValueAtTime(slot.frequency, now)
+      }
+      filter.gain.setTargetAtTime(NOTCH_DEPTH, now, 0.02)
+    } else {
+      filter.gain.setTargetAtTime(0, now, 0.2)
+    }
+  })
+}
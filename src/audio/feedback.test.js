@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest'
+import { OfflineAudioContext } from 'web-audio-api'
+import { buildProcessingChain } from './chain'
+import { WDRC_PRESETS } from './compressor'
+import { createDefaultEqGains } from './equalizer'
+import { AUDIOGRAM_FREQUENCIES } from './fitting'
+import { TEST_SIGNALS } from './testSignals'
+import { createAnalyserSpectrum } from './spectrum'
+import {
+  NOTCH_COUNT,
+  NOTCH_DEPTH,
+  NOTCH_HOLD,
+  activeNotchFrequencies,
+  applyNotches,
+  createEmptyNotches,
+  createFeedbackDetector,
+  updateNotches
+} from './feedback'
+
+const SAMPLE_RATE = 44100
+const FFT_SIZE = 2048
+// The live loop checks the chain's spectrum analyser this often (ms)
+const INTERVAL = 100
+
+const sine = (frequency, duration = 3) =>
+  Float32Array.from({ length: duration * SAMPLE_RATE }, (_, i) =>
+    0.1 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE))
+
+const createParams = () => ({
+  micGain: 1,
+  outputVolume: 1,
+  highpassFrequency: 80,
+  compressorBands: WDRC_PRESETS.speech.bands,
+  compressorRatios: [],
+  dspModules: [],
+  prescriptionGains: { left: AUDIOGRAM_FREQUENCIES.map(() => 0), right: AUDIOGRAM_FREQUENCIES.map(() => 0) },
+  eqGains: { left: createDefaultEqGains(), right: createDefaultEqGains() },
+  earGains: { left: 1, right: 1 },
+  maxOutputDb: -1
+})
+
+// Renders a clip through the processing chain in an OfflineAudioContext
+// (web-audio-api's, which runs in Node), pausing every INTERVAL to run
+// detection on the chain's spectrum analyser and set its notch filters the
+// way the live loop does. Resolves to the notch frequencies active at the
+// end and the left output channel.
+const renderWithNotches = async (samples) => {
+  const audioContext = new OfflineAudioContext(2, samples.length, SAMPLE_RATE)
+  const chain = await buildProcessingChain(audioContext, createParams())
+  const source = audioContext.createBufferSource()
+  source.buffer = audioContext.createBuffer(1, samples.length, SAMPLE_RATE)
+  source.buffer.copyToChannel(samples, 0)
+  source.connect(chain.input)
+  chain.output.connect(audioContext.destination)
+  source.start()
+
+  const detector = createFeedbackDetector()
+  const spectrum = new Float32Array(chain.analyser.frequencyBinCount)
+  let slots = createEmptyNotches()
+  const check = async (time) => {
+    await audioContext.suspend(time)
+    chain.analyser.getFloatFrequencyData(spectrum)
+    const now = time * 1000
+    slots = updateNotches(slots, detector.update(spectrum, SAMPLE_RATE, now), now)
+    applyNotches(chain.notchFilters, slots)
+    audioContext.resume()
+  }
+  const checks = Math.ceil((samples.length / SAMPLE_RATE) * (1000 / INTERVAL)) - 1
+  for (let step = 1; step <= checks; step++) {
+    check((step * INTERVAL) / 1000)
+  }
+
+  const rendered = await audioContext.startRendering()
+  return { notches: activeNotchFrequencies(slots), output: rendered.getChannelData(0) }
+}
+
+// RMS level in dB of `samples` between two times in seconds
+const levelDb = (samples, from, to) => {
+  const section = samples.subarray(from * SAMPLE_RATE, to * SAMPLE_RATE)
+  return 10 * Math.log10(section.reduce((sum, sample) => sum + sample * sample, 0) / section.length)
+}
+
+describe('createFeedbackDetector', () => {
+  it('notches a sustained howl at its analyser bin', async () => {
+    const { notches, output } = await renderWithNotches(sine(2750))
+    expect(notches).toHaveLength(1)
+    expect(notches[0]).toBeCloseTo(2756.25, 2)
+    // The notch stays in for the rest of the clip even though the analyser
+    // after it no longer sees the howl at full strength
+    expect(levelDb(output, 2.5, 3) - levelDb(output, 0.2, 0.5)).toBeCloseTo(NOTCH_DEPTH, -1)
+  })
+
+  it.each(['pinkNoise', 'speechNoise', 'sweep'])('leaves %s alone', async (signal) => {
+    const { notches } = await renderWithNotches(TEST_SIGNALS[signal].generate(SAMPLE_RATE))
+    expect(notches).toEqual([])
+  })
+
+  it('waits for a peak to be sustained', () => {
+    const detector = createFeedbackDetector({ sustain: 400 })
+    const analyser = createAnalyserSpectrum(FFT_SIZE)
+    const samples = sine(2750, 1)
+    expect(detector.update(analyser.next(samples, FFT_SIZE), SAMPLE_RATE, 0)).toEqual([])
+    expect(detector.update(analyser.next(samples, FFT_SIZE * 2), SAMPLE_RATE, 300)).toEqual([])
+    expect(detector.update(analyser.next(samples, FFT_SIZE * 3), SAMPLE_RATE, 400)).toHaveLength(1)
+  })
+})
+
+describe('updateNotches', () => {
+  it('refreshes a notch for a detection within a semitone', () => {
+    const slots = updateNotches(createEmptyNotches(), [{ frequency: 1000 }], 0)
+    const next = updateNotches(slots, [{ frequency: 1030 }], 500)
+    expect(activeNotchFrequencies(next)).toEqual([1000])
+    expect(next[0].lastSeen).toBe(500)
+  })
+
+  it('keeps each notch in its slot', () => {
+    const slots = updateNotches(createEmptyNotches(), [{ frequency: 3000 }, { frequency: 1000 }], 0)
+    const next = updateNotches(slots, [{ frequency: 1000 }, { frequency: 2000 }], 100)
+    expect(next.slice(0, 3).map(slot => slot.frequency)).toEqual([3000, 1000, 2000])
+  })
+
+  it('releases a notch once its hold runs out', () => {
+    const slots = updateNotches(createEmptyNotches(), [{ frequency: 1000 }], 0)
+    expect(activeNotchFrequencies(updateNotches(slots, [], NOTCH_HOLD - 1))).toEqual([1000])
+    expect(activeNotchFrequencies(updateNotches(slots, [], NOTCH_HOLD))).toEqual([])
+  })
+
+  it('replaces the notch quiet longest when every slot is taken', () => {
+    let slots = createEmptyNotches()
+    for (let i = 0; i < NOTCH_COUNT; i++) {
+      slots = updateNotches(slots, [{ frequency: 500 * (i + 1) }], i)
+    }
+    const next = updateNotches(slots, [{ frequency: 7777 }], NOTCH_COUNT)
+    expect(next[0].frequency).toBe(7777)
+    expect(activeNotchFrequencies(next)).not.toContain(500)
+  })
+})
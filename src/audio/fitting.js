@@ -0,0 +1,95 @@
+// Prescriptive fitting from a pure-tone audiogram. Everything here is plain
+// math on arrays so it can be exercised without an AudioContext.
+
+export const AUDIOGRAM_FREQUENCIES = [250, 500, 1000, 2000, 3000, 4000, 6000, 8000]
+
+export const FITTING_RULES = {
+  halfGain: 'Half-gain',
+  nalR: 'NAL-R'
+}
+
+export const MIN_THRESHOLD = 0
+export const MAX_THRESHOLD = 120
+
+const MAX_PRESCRIBED_GAIN = 40
+const MAX_COMPRESSION_RATIO = 4
+
+// NAL-R frequency corrections (dB), indexed like AUDIOGRAM_FREQUENCIES
+const NAL_R_CORRECTIONS = [-17, -8, 1, -1, -2, -2, -2, -2]
+const NAL_R_PTA_FREQUENCIES = [500, 1000, 2000]
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+const round1 = (value) => Math.round(value * 10) / 10
+
+export const clampThreshold = (value) => {
+  const threshold = Number(value)
+  if (!Number.isFinite(threshold)) return MIN_THRESHOLD
+  return clamp(Math.round(threshold), MIN_THRESHOLD, MAX_THRESHOLD)
+}
+
+export const createEmptyAudiogram = () => ({
+  left: AUDIOGRAM_FREQUENCIES.map(() => 0),
+  right: AUDIOGRAM_FREQUENCIES.map(() => 0)
+})
+
+export const createDefaultHearingProfile = () => ({
+  enabled: false,
+  rule: 'nalR',
+  audiogram: createEmptyAudiogram()
+})
+
+export const halfGain = (thresholds) =>
+  thresholds.map(threshold => clamp(round1(clampThreshold(threshold) * 0.5), 0, MAX_PRESCRIBED_GAIN))
+
+export const nalR = (thresholds) => {
+  const levels = thresholds.map(clampThreshold)
+  const ptaSum = NAL_R_PTA_FREQUENCIES.reduce(
+    (sum, frequency) => sum + levels[AUDIOGRAM_FREQUENCIES.indexOf(frequency)],
+    0
+  )
+  const x = 0.05 * ptaSum
+
+  return levels.map((level, index) =>
+    clamp(round1(x + 0.31 * level + NAL_R_CORRECTIONS[index]), 0, MAX_PRESCRIBED_GAIN)
+  )
+}
+
+// Shrinks the usable dynamic range in proportion to the loss: 0 dB HL stays
+// linear, a 100 dB loss leaves roughly a quarter of the normal range
+export const compressionRatioFor = (threshold) => {
+  const level = clampThreshold(threshold)
+  return clamp(round1(100 / Math.max(25, 100 - level * 0.75)), 1, MAX_COMPRESSION_RATIO)
+}
+
+const RULES = { halfGain, nalR }
+
+export const prescribe = (thresholds, rule = 'nalR') => {
+  const fit = RULES[rule]
+  if (!fit) {
+    throw new Error(`Unknown fitting rule: ${rule}`)
+  }
+
+  return {
+    gains: fit(thresholds),
+    ratios: thresholds.map(compressionRatioFor)
+  }
+}
+
+export const fitAudiogram = (audiogram, rule) => ({
+  left: prescribe(audiogram.left, rule),
+  right: prescribe(audiogram.right, rule)
+})
+
+// Groups per-frequency ratios into compressor bands split at `crossovers`
+// and averages each group; bands with no audiogram frequency fall back to 1
+export const bandCompressionRatios = (ratios, crossovers) => {
+  const groups = Array.from({ length: crossovers.length + 1 }, () => [])
+  AUDIOGRAM_FREQUENCIES.forEach((frequency, index) => {
+    const band = crossovers.filter(edge => frequency >= edge).length
+    groups[band].push(ratios[index])
+  })
+  return groups.map(group =>
+    group.length ? round1(group.reduce((sum, ratio) => sum + ratio, 0) / group.length) : 1
+  )
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest'
+import {
+  AUDIOGRAM_FREQUENCIES,
+  bandCompressionRatios,
+  compressionRatioFor,
+  halfGain,
+  nalR
+} from './fitting'
+
+// A typical sloping loss, indexed like AUDIOGRAM_FREQUENCIES
+const SLOPING_LOSS = [20, 30, 40, 50, 60, 60, 70, 70]
+
+describe('halfGain', () => {
+  it('prescribes half the threshold at every frequency', () => {
+    expect(halfGain(SLOPING_LOSS)).toEqual([10, 15, 20, 25, 30, 30, 35, 35])
+  })
+
+  it('clamps out-of-range and invalid thresholds', () => {
+    expect(halfGain([-10, 200, 'x', 25])).toEqual([0, 40, 0, 12.5])
+  })
+})
+
+describe('nalR', () => {
+  it('matches the NAL-R formula for a sloping loss', () => {
+    // X = 0.05 * (30 + 40 + 50) = 6, gain = X + 0.31 * H + k
+    expect(nalR(SLOPING_LOSS)).toEqual([0, 7.3, 19.4, 20.5, 22.6, 22.6, 25.7, 25.7])
+  })
+
+  it('prescribes no gain for normal hearing', () => {
+    expect(nalR(AUDIOGRAM_FREQUENCIES.map(() => 0))).toEqual([0, 0, 1, 0, 0, 0, 0, 0])
+  })
+
+  it('never prescribes more than 40 dB', () => {
+    expect(Math.max(...nalR(AUDIOGRAM_FREQUENCIES.map(() => 120)))).toBe(40)
+  })
+})
+
+describe('compressionRatioFor', () => {
+  it('stays linear for normal hearing', () => {
+    expect(compressionRatioFor(0)).toBe(1)
+  })
+
+  it('grows with the loss', () => {
+    expect(compressionRatioFor(40)).toBe(1.4)
+    expect(compressionRatioFor(80)).toBe(2.5)
+  })
+
+  it('is capped at 4:1', () => {
+    expect(compressionRatioFor(100)).toBe(4)
+    expect(compressionRatioFor(120)).toBe(4)
+  })
+})
+
+describe('bandCompressionRatios', () => {
+  it('averages the ratios of the frequencies in each band', () => {
+    expect(bandCompressionRatios([1, 2, 3, 4, 5, 6, 7, 8], [500, 2000, 4000])).toEqual([1, 2.5, 4.5, 7])
+  })
+
+  it('falls back to 1:1 for bands with no audiogram frequency', () => {
+    expect(bandCompressionRatios([1, 2, 3, 4, 5, 6, 7, 8], [10000])).toEqual([4.5, 1])
+  })
+})
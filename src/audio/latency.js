@@ -0,0 +1,65 @@
+import { measureBlock } from './metering'
+
+// Latency hints the AudioContext accepts, lowest latency first
+export const LATENCY_MODES = [
+  { value: 'interactive', label: 'Interactive (lowest)' },
+  { value: 'balanced', label: 'Balanced' },
+  { value: 'playback', label: 'Playback (most stable)' }
+]
+
+// 0 leaves the rate to the browser, usually the output device's native rate
+export const SAMPLE_RATES = [0, 44100, 48000]
+
+// The loopback test listens this long (seconds) and plays its click this
+// far in, so the recorder is already running when it sounds
+export const LOOPBACK_DURATION = 1
+export const LOOPBACK_CLICK_DELAY = 0.2
+
+const CLICK_DURATION = 0.005
+const CLICK_FREQUENCY = 2000
+const CLICK_AMPLITUDE = 0.5
+// A capture peaking below this (dBFS) never heard the click
+const LOOPBACK_MIN_PEAK_DB = -40
+// The onset is the first sample reaching this fraction of the peak
+const ONSET_THRESHOLD = 0.5
+
+// Short Hann-windowed tone burst: sharp enough to time, smooth enough not
+// to pop the speaker
+export const createClick = (sampleRate) => {
+  const length = Math.round(CLICK_DURATION * sampleRate)
+  const samples = new Float32Array(length)
+  for (let i = 0; i < length; i++) {
+    const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (length - 1))
+    samples[i] = CLICK_AMPLITUDE * window * Math.sin((2 * Math.PI * CLICK_FREQUENCY * i) / sampleRate)
+  }
+  return samples
+}
+
+// Index of the first sample at ONSET_THRESHOLD of the block's peak, or -1
+// for silence
+export const findOnset = (samples) => {
+  let peak = 0
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]))
+  }
+  if (peak === 0) return -1
+  return samples.findIndex(value => Math.abs(value) >= peak * ONSET_THRESHOLD)
+}
+
+// Round trip from the click leaving the graph (`reference`) to it arriving
+// back at the input (`captured`), both recorded in parallel. Null when the
+// click didn't make it back.
+export const loopbackLatencyMs = (reference, captured, sampleRate) => {
+  const sent = findOnset(reference)
+  if (sent < 0) return null
+
+  const tail = captured.subarray(sent)
+  if (!tail.length || measureBlock(tail).peakDb < LOOPBACK_MIN_PEAK_DB) return null
+  return (findOnset(tail) / sampleRate) * 1000
+}
+
+// Adds up what the browser reports: track capture latency, the context's
+// processing buffer and the output path. Fields a browser doesn't expose
+// count as zero, so this is a lower bound.
+export const estimateLatencyMs = ({ baseLatency, outputLatency, track }) =>
+  ((track?.latency ?? 0) + (baseLatency ?? 0) + (outputLatency ?? 0)) * 1000
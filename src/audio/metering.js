@@ -0,0 +1,93 @@
+// Level metering in dBFS. 0 dBFS is a sample value of ±1; RMS readings are
+// not sine-corrected, so a full-scale sine reads about -3 dBFS.
+
+export const MIN_DB = -100
+export const CLIP_LEVEL = 0.999
+
+const PEAK_HOLD_TIME = 1500
+const PEAK_DECAY_PER_SECOND = 20
+const CLIP_HOLD_TIME = 2000
+
+export const amplitudeToDb = (amplitude) =>
+  amplitude > 0 ? Math.max(MIN_DB, 20 * Math.log10(amplitude)) : MIN_DB
+
+export const measureBlock = (samples) => {
+  let sum = 0
+  let peak = 0
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.abs(samples[i])
+    sum += value * value
+    if (value > peak) peak = value
+  }
+  return {
+    rmsDb: amplitudeToDb(Math.sqrt(sum / samples.length)),
+    peakDb: amplitudeToDb(peak),
+    clipped: peak >= CLIP_LEVEL
+  }
+}
+
+// Power average of several dB readings
+export const averageDb = (levels) => {
+  if (!levels.length) return MIN_DB
+  const power = levels.reduce((sum, db) => sum + Math.pow(10, db / 10), 0) / levels.length
+  return Math.max(MIN_DB, 10 * Math.log10(power))
+}
+
+// Stateful meter: holds the highest peak for PEAK_HOLD_TIME, then lets it
+// fall, and latches the clip flag for CLIP_HOLD_TIME after an overload.
+// `now` is in milliseconds.
+export const createMeter = () => {
+  let peakHoldDb = MIN_DB
+  let peakHeldAt = 0
+  let clippedAt = -Infinity
+  let lastUpdate = null
+
+  return {
+    update(block, now) {
+      const elapsed = lastUpdate === null ? 0 : now - lastUpdate
+      lastUpdate = now
+
+      if (block.peakDb >= peakHoldDb) {
+        peakHoldDb = block.peakDb
+        peakHeldAt = now
+      } else if (now - peakHeldAt > PEAK_HOLD_TIME) {
+        peakHoldDb = Math.max(block.peakDb, peakHoldDb - (PEAK_DECAY_PER_SECOND * elapsed) / 1000)
+      }
+      if (block.clipped) {
+        clippedAt = now
+      }
+
+      return {
+        rmsDb: block.rmsDb,
+        peakDb: block.peakDb,
+        peakHoldDb,
+        clipped: now - clippedAt < CLIP_HOLD_TIME
+      }
+    },
+    reset() {
+      peakHoldDb = MIN_DB
+      clippedAt = -Infinity
+      lastUpdate = null
+    }
+  }
+}
+
+// Offset that maps this mic's dBFS readings onto a known reference level
+export const calibrationOffset = (referenceSpl, measuredDbfs) => referenceSpl - measuredDbfs
+
+export const toSpl = (dbfs, offset) => dbfs + offset
+
+// Samples an analyser for `duration` ms and resolves to the average RMS level
+export const measureAverageLevel = (analyser, duration, interval = 50) =>
+  new Promise(resolve => {
+    const buffer = new Float32Array(analyser.fftSize)
+    const levels = []
+    const timer = setInterval(() => {
+      analyser.getFloatTimeDomainData(buffer)
+      levels.push(measureBlock(buffer).rmsDb)
+    }, interval)
+    setTimeout(() => {
+      clearInterval(timer)
+      resolve(averageDb(levels))
+    }, duration)
+  })
@@ -0,0 +1,67 @@
+import { createDspHost } from './dspHost'
+import { dbToGain } from './dsp/envelope'
+
+const LIMITER_ID = 'output-limiter'
+const LIMITER_RELEASE = 50
+const FALLBACK_RATIO = 20
+
+// A DynamicsCompressorNode adds makeup gain of (1 / fullRangeGain) ^ 0.6,
+// where fullRangeGain is its gain at 0 dBFS. That is +17 dB with a -30 dB
+// threshold. The fallback limiter follows the compressor with this trim,
+// which takes the makeup gain back out along with the 1/ratio overshoot, so
+// a full-scale input comes out at the ceiling.
+export const fallbackTrimDb = (ceilingDb) => {
+  const fullRangeDb = ceilingDb * (1 - 1 / FALLBACK_RATIO)
+  const makeupDb = -0.6 * fullRangeDb
+  return ceilingDb - (fullRangeDb + makeupDb)
+}
+
+// Stereo brick-wall limiter for the very end of the chain. Runs the sample
+// limiter module in its own worklet so no peak gets past `ceilingDb`. Where
+// AudioWorklet is missing it falls back to a hard-kneed DynamicsCompressor
+// and a fixed trim. That version only limits peaks up to 0 dBFS, and the
+// onset of a transient can overshoot while the compressor's attack and
+// lookahead catch up.
+export const createOutputLimiter = async (audioContext, ceilingDb) => {
+  let host = null
+  try {
+    host = await createDspHost(
+      audioContext,
+      [{ id: LIMITER_ID, type: 'limiter', params: { ceiling: ceilingDb, release: LIMITER_RELEASE } }],
+      undefined,
+      { channels: 2 }
+    )
+  } catch (err) {
+    console.error('Failed to load output limiter worklet:', err)
+  }
+
+  if (host) {
+    return {
+      input: host.node,
+      output: host.node,
+      setCeiling(db) {
+        host.setParams(LIMITER_ID, { ceiling: db })
+      }
+    }
+  }
+
+  const compressor = audioContext.createDynamicsCompressor()
+  const trim = audioContext.createGain()
+  compressor.knee.value = 0
+  compressor.ratio.value = FALLBACK_RATIO
+  compressor.attack.value = 0
+  compressor.release.value = LIMITER_RELEASE / 1000
+  compressor.threshold.value = ceilingDb
+  trim.gain.value = dbToGain(fallbackTrimDb(ceilingDb))
+  compressor.connect(trim)
+
+  return {
+    input: compressor,
+    output: trim,
+    setCeiling(db) {
+      const now = audioContext.currentTime
+      compressor.threshold.setTargetAtTime(db, now, 0.01)
+      trim.gain.setTargetAtTime(dbToGain(fallbackTrimDb(db)), now, 0.01)
+    }
+  }
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest'
+import { fallbackTrimDb } from './outputLimiter'
+
+// Steady-state level out of the fallback (compressor with its makeup gain,
+// then the trim) for an input at `inputDb`, per the Web Audio spec
+const fallbackOutputDb = (inputDb, ceilingDb) => {
+  const ratio = 20
+  const curve = (db) => (db <= ceilingDb ? db : ceilingDb + (db - ceilingDb) / ratio)
+  const makeupDb = -0.6 * curve(0)
+  return curve(inputDb) + makeupDb + fallbackTrimDb(ceilingDb)
+}
+
+describe('fallbackTrimDb', () => {
+  it('takes out the compressor makeup gain', () => {
+    expect(fallbackTrimDb(-30)).toBeCloseTo(-18.6, 5)
+  })
+
+  it('keeps a full-scale input at the ceiling', () => {
+    ;[-30, -12, -6, -1].forEach(ceilingDb => {
+      expect(fallbackOutputDb(0, ceilingDb)).toBeCloseTo(ceilingDb, 5)
+    })
+  })
+
+  it('never boosts quiet sounds', () => {
+    ;[-30, -6].forEach(ceilingDb => {
+      expect(fallbackOutputDb(-60, ceilingDb)).toBeLessThanOrEqual(-60)
+    })
+  })
+})
@@ -0,0 +1,87 @@
+import recorderUrl from './worklet/recorderProcessor.js?worker&url'
+import { isDspHostSupported } from './dspHost'
+
+export const RECORDER_NAME = 'pcm-recorder'
+// Recordings are kept in memory and IndexedDB uncompressed, so cap them
+export const MAX_RECORDING_SECONDS = 120
+// How long (ms) stopping waits for each recorder's last part-filled chunk.
+// A recorder whose context has already closed never sends it.
+const STOP_TIMEOUT = 500
+
+export const isRecordingSupported = isDspHostSupported
+
+const concatChunks = (chunks, channelCount, frames) =>
+  Array.from({ length: channelCount }, (_, channel) => {
+    const samples = new Float32Array(frames)
+    let offset = 0
+    chunks.forEach(chunk => {
+      const count = Math.min(chunk[channel].length, frames - offset)
+      samples.set(chunk[channel].subarray(0, count), offset)
+      offset += count
+    })
+    return samples
+  })
+
+// Asks the recorder for its last, part-filled chunk and resolves once it
+// has arrived or STOP_TIMEOUT has passed, whichever is first
+const finishSession = (session, receive) => new Promise(resolve => {
+  const { node, recorder } = session
+  const finish = () => {
+    clearTimeout(timer)
+    recorder.port.onmessage = null
+    try {
+      node.disconnect(recorder)
+      recorder.disconnect()
+    } catch (err) {
+      // The graph is already gone when the context was closed first
+    }
+    resolve()
+  }
+  const timer = setTimeout(finish, STOP_TIMEOUT)
+  recorder.port.onmessage = (event) => {
+    receive(session, event.data.channels)
+    if (event.data.type === 'final') finish()
+  }
+  recorder.port.postMessage({ type: 'stop' })
+})
+
+// Starts capturing PCM from each tap, e.g. `{ processed: { node, channels: 2 } }`.
+// Chunks stream to the main thread as they fill. `stop()` resolves to the
+// captured channels keyed like the taps, and still resolves, without the
+// last partial chunk, after the context has been closed.
+export const startRecording = async (audioContext, taps) => {
+  await audioContext.audioWorklet.addModule(recorderUrl)
+
+  const maxFrames = Math.round(MAX_RECORDING_SECONDS * audioContext.sampleRate)
+  const receive = (session, channels) => {
+    if (session.frames >= maxFrames || !channels[0].length) return
+    session.chunks.push(channels)
+    session.frames = Math.min(maxFrames, session.frames + channels[0].length)
+  }
+  const sessions = Object.entries(taps).map(([key, { node, channels }]) => {
+    const recorder = new AudioWorkletNode(audioContext, RECORDER_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      channelCount: channels,
+      channelCountMode: 'explicit',
+      processorOptions: { channelCount: channels }
+    })
+    const session = { key, node, recorder, channels, chunks: [], frames: 0 }
+    recorder.port.onmessage = (event) => receive(session, event.data.channels)
+    node.connect(recorder)
+    recorder.connect(audioContext.destination)
+    return session
+  })
+
+  return {
+    sampleRate: audioContext.sampleRate,
+    async stop() {
+      await Promise.all(sessions.map(session => finishSession(session, receive)))
+      // Taps can start a render quantum apart, so trim them to a common length
+      const frames = Math.min(...sessions.map(session => session.frames))
+      return Object.fromEntries(sessions.map(session =>
+        [session.key, concatChunks(session.chunks, session.channels, frames)]))
+    }
+  }
+}
@@ -0,0 +1,196 @@
+import { findTonalPeaks } from './feedback'
+import { createAnalyserSpectrum } from './spectrum'
+
+// Sound event detection for alerts (alarms, doorbells, crying). Works on dB
+// magnitude spectra such as AnalyserNode.getFloatFrequencyData returns, one
+// frame every EVENT_INTERVAL ms, so the same code runs on a live analyser
+// and on clips via detectSoundEventsInClip.
+
+export const EVENT_INTERVAL = 100
+export const EVENT_FFT_SIZE = 2048
+// The same event won't alert again for this long (ms)
+export const EVENT_COOLDOWN = 8000
+
+// The background level falls straight to quieter frames and creeps back up
+// (dB per second), so a sound only stands out while it's new
+const BACKGROUND_FALL = 0.3
+const BACKGROUND_RISE = 2
+const MIN_LEVEL_DB = -120
+
+const PEAK_OPTIONS = { minFrequency: 250, maxFrequency: 5000, minLevel: -70, prominence: 12 }
+
+export const EVENT_THRESHOLDS = {
+  // Piezo sounders sit around 3 kHz, drown out everything else and beep in
+  // groups of three (smoke) or four (carbon monoxide)
+  smokeAlarm: { minFrequency: 2500, maxFrequency: 4000, beeps: 3, window: 4000, continuous: 2000 },
+  // A chime: a tone that starts abruptly, clear of the background, and
+  // holds its pitch exactly
+  doorbell: { minFrequency: 400, maxFrequency: 2500, rise: 12, onset: 6, steady: 300 },
+  // Loud and sustained, with the fundamental in an infant's range and at
+  // least its second and third harmonics present
+  babyCry: { minFrequency: 250, maxFrequency: 700, rise: 10, harmonicTolerance: 0.04, window: 1500, coverage: 0.6 },
+  // Anything suddenly much louder than the background, e.g. a knock or a fall
+  loudSound: { rise: 25, minLevel: -35 }
+}
+
+const strongestIn = (peaks, minFrequency = 0, maxFrequency = Infinity) =>
+  peaks.reduce((best, peak) => (peak.frequency >= minFrequency && peak.frequency <= maxFrequency &&
+    (!best || peak.level > best.level) ? peak : best), null)
+
+const hasHarmonic = (peaks, fundamental, multiple, tolerance) =>
+  peaks.some(peak => Math.abs(peak.frequency / fundamental - multiple) <= multiple * tolerance)
+
+const createSmokeAlarmDetector = () => {
+  const { minFrequency, maxFrequency, beeps, window, continuous } = EVENT_THRESHOLDS.smokeAlarm
+  let onsets = []
+  let toneSince = null
+
+  return (features, now) => {
+    const loudest = strongestIn(features.peaks)
+    const tone = loudest && loudest.frequency >= minFrequency && loudest.frequency <= maxFrequency
+    if (tone && toneSince === null) {
+      toneSince = now
+      onsets.push(now)
+    } else if (!tone) {
+      toneSince = null
+    }
+    onsets = onsets.filter(time => now - time <= window)
+    return onsets.length >= beeps || (toneSince !== null && now - toneSince >= continuous)
+  }
+}
+
+const createDoorbellDetector = () => {
+  const { minFrequency, maxFrequency, rise, onset, steady } = EVENT_THRESHOLDS.doorbell
+  let candidate = null
+  let onsetTime = -Infinity
+
+  return (features, now) => {
+    if (features.levelDb - features.previousLevelDb >= onset) {
+      onsetTime = now
+    }
+    const tone = strongestIn(features.peaks, minFrequency, maxFrequency)
+    if (!tone || features.levelDb - features.backgroundDb < rise) {
+      candidate = null
+      return false
+    }
+    if (!candidate || tone.bin !== candidate.bin) {
+      // Only a tone that arrived with the onset can start a chime
+      candidate = now - onsetTime <= EVENT_INTERVAL ? { bin: tone.bin, since: now, fired: false } : null
+      return false
+    }
+    // One alert per chime, however long it rings
+    if (candidate.fired || now - candidate.since < steady) return false
+    candidate.fired = true
+    return true
+  }
+}
+
+const createBabyCryDetector = () => {
+  const { minFrequency, maxFrequency, rise, harmonicTolerance, window, coverage } = EVENT_THRESHOLDS.babyCry
+  let frames = []
+
+  return (features, now) => {
+    const loud = features.levelDb - features.backgroundDb >= rise
+    const harmonic = loud && features.peaks.some(peak =>
+      peak.frequency >= minFrequency && peak.frequency <= maxFrequency &&
+      hasHarmonic(features.peaks, peak.frequency, 2, harmonicTolerance) &&
+      hasHarmonic(features.peaks, peak.frequency, 3, harmonicTolerance))
+
+    frames.push({ time: now, harmonic })
+    frames = frames.filter(frame => now - frame.time <= window)
+    if (now - frames[0].time < window - EVENT_INTERVAL) return false
+    return frames.filter(frame => frame.harmonic).length / frames.length >= coverage
+  }
+}
+
+const createLoudSoundDetector = () => {
+  const { rise, minLevel } = EVENT_THRESHOLDS.loudSound
+  return (features) => features.levelDb >= minLevel && features.levelDb - features.backgroundDb >= rise
+}
+
+export const SOUND_EVENTS = {
+  smokeAlarm: { label: 'Smoke or CO alarm', createDetector: createSmokeAlarmDetector },
+  doorbell: { label: 'Doorbell', createDetector: createDoorbellDetector },
+  babyCry: { label: 'Baby crying', createDetector: createBabyCryDetector },
+  loudSound: { label: 'Sudden loud sound', createDetector: createLoudSoundDetector }
+}
+
+export const createDefaultAlertSettings = () => ({
+  enabled: true,
+  events: { smokeAlarm: true, doorbell: true, babyCry: true, loudSound: false },
+  flash: true,
+  vibrate: true,
+  notify: false,
+  // Alerts when live captions hear it; empty turns that off
+  name: ''
+})
+
+// Total power across the spectrum, in the analyser's dB scale
+export const spectrumLevelDb = (spectrum) => {
+  let power = 0
+  for (let i = 0; i < spectrum.length; i++) {
+    power += Math.pow(10, spectrum[i] / 10)
+  }
+  return power > 0 ? Math.max(MIN_LEVEL_DB, 10 * Math.log10(power)) : MIN_LEVEL_DB
+}
+
+// Tracks the background level and runs the enabled event detectors. `update`
+// returns the event types that fired on this frame, each at most once per
+// EVENT_COOLDOWN; `now` is in milliseconds.
+export const createSoundEventDetector = ({ events }) => {
+  const detectors = Object.entries(SOUND_EVENTS)
+    .filter(([type]) => events[type])
+    .map(([type, { createDetector }]) => ({ type, detect: createDetector(), lastFired: -Infinity }))
+  let backgroundDb = null
+  let previousLevelDb = null
+  let lastTime = null
+
+  return {
+    update(spectrum, sampleRate, now) {
+      const levelDb = spectrumLevelDb(spectrum)
+      if (backgroundDb === null) {
+        backgroundDb = levelDb
+        previousLevelDb = levelDb
+      } else if (levelDb < backgroundDb) {
+        backgroundDb += BACKGROUND_FALL * (levelDb - backgroundDb)
+      } else {
+        backgroundDb = Math.min(levelDb, backgroundDb + (BACKGROUND_RISE * (now - lastTime)) / 1000)
+      }
+      lastTime = now
+
+      const features = {
+        levelDb,
+        previousLevelDb,
+        backgroundDb,
+        peaks: findTonalPeaks(spectrum, sampleRate, PEAK_OPTIONS)
+      }
+      previousLevelDb = levelDb
+      return detectors
+        .filter(detector => {
+          if (!detector.detect(features, now) || now - detector.lastFired < EVENT_COOLDOWN) return false
+          detector.lastFired = now
+          return true
+        })
+        .map(detector => detector.type)
+    }
+  }
+}
+
+// Runs the detector over a clip the way the live loop does, so thresholds
+// can be checked against recordings.
+// Spectra match AnalyserNode.getFloatFrequencyData with smoothing off.
+// Returns `[{ type, time }]` with times in milliseconds.
+export const detectSoundEventsInClip = (samples, sampleRate, settings = createDefaultAlertSettings()) => {
+  const detector = createSoundEventDetector(settings)
+  const analyser = createAnalyserSpectrum(EVENT_FFT_SIZE)
+  const hop = Math.round((EVENT_INTERVAL / 1000) * sampleRate)
+  const detected = []
+
+  for (let end = EVENT_FFT_SIZE; end <= samples.length; end += hop) {
+    const now = (end / sampleRate) * 1000
+    detector.update(analyser.next(samples, end), sampleRate, now)
+      .forEach(type => detected.push({ type, time: now }))
+  }
+
+  return detected
+}
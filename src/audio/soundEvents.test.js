@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest'
+import { TEST_SIGNALS } from './testSignals'
+import { RECORDINGS, SYNTHETIC_CLIPS, loadRecording } from './fixtures/soundEvents'
+import { EVENT_COOLDOWN, createDefaultAlertSettings, detectSoundEventsInClip } from './soundEvents'
+
+const SAMPLE_RATE = 44100
+const ALL_EVENTS = { smokeAlarm: true, doorbell: true, babyCry: true, loudSound: true }
+
+const detectedTypes = (samples, sampleRate, settings = createDefaultAlertSettings()) => {
+  const detections = detectSoundEventsInClip(samples, sampleRate, settings)
+  return [...new Set(detections.map(detection => detection.type))]
+}
+
+// A recording placed a second into quiet room noise, so the detector has a
+// background to hear it against, with a second to spare after it
+const recordingInRoom = (name) => {
+  const { samples, sampleRate } = loadRecording(name)
+  const clip = new Float32Array(samples.length + 2 * sampleRate)
+  let seed = 1
+  for (let i = 0; i < clip.length; i++) {
+    seed = (seed * 16807) % 2147483647
+    clip[i] = 0.001 * (2 * (seed / 2147483647) - 1)
+  }
+  samples.forEach((sample, i) => {
+    clip[sampleRate + i] += sample
+  })
+  return { samples: clip, sampleRate }
+}
+
+const detectedInRecording = (name) => {
+  const { samples, sampleRate } = recordingInRoom(name)
+  return detectedTypes(samples, sampleRate, { ...createDefaultAlertSettings(), events: ALL_EVENTS })
+}
+
+describe('detectSoundEventsInClip', () => {
+  describe('on recordings', () => {
+    it('detects the doorbell', () => {
+      expect(detectedInRecording('doorbell')).toContain('doorbell')
+    })
+
+    it('hears a knock as a loud sound and nothing else', () => {
+      expect(detectedInRecording('knock')).toEqual(['loudSound'])
+    })
+
+    it.each(Object.keys(RECORDINGS).filter(name => !['doorbell', 'knock'].includes(name)))(
+      'raises no alarm, doorbell or crying alert for %s',
+      (name) => {
+        expect(detectedInRecording(name).filter(type => type !== 'loudSound')).toEqual([])
+      }
+    )
+  })
+
+  describe('on synthetic clips', () => {
+    it.each(Object.keys(SYNTHETIC_CLIPS))('detects only %s in its clip', (type) => {
+      expect(detectedTypes(SYNTHETIC_CLIPS[type](SAMPLE_RATE), SAMPLE_RATE)).toEqual([type])
+    })
+
+    it.each(Object.keys(TEST_SIGNALS))('detects nothing in the %s test signal', (signal) => {
+      expect(detectedTypes(TEST_SIGNALS[signal].generate(SAMPLE_RATE), SAMPLE_RATE)).toEqual([])
+    })
+
+    it('waits out the cooldown before alerting again', () => {
+      const samples = SYNTHETIC_CLIPS.smokeAlarm(SAMPLE_RATE, 20)
+      const times = detectSoundEventsInClip(samples, SAMPLE_RATE, createDefaultAlertSettings())
+        .filter(detection => detection.type === 'smokeAlarm')
+        .map(detection => detection.time)
+      expect(times.length).toBeGreaterThan(1)
+      times.slice(1).forEach((time, index) => {
+        expect(time - times[index]).toBeGreaterThanOrEqual(EVENT_COOLDOWN)
+      })
+    })
+  })
+})
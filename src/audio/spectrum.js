@@ -0,0 +1,103 @@
+import { EQ_Q } from './equalizer'
+import { fft } from './dsp/fft'
+
+export const MIN_DISPLAY_FREQUENCY = 50
+export const MAX_DISPLAY_FREQUENCY = 16000
+
+// Maps a frequency onto [0, width] on a logarithmic axis
+export const frequencyToX = (frequency, width, min = MIN_DISPLAY_FREQUENCY, max = MAX_DISPLAY_FREQUENCY) =>
+  (Math.log(frequency / min) / Math.log(max / min)) * width
+
+export const xToFrequency = (x, width, min = MIN_DISPLAY_FREQUENCY, max = MAX_DISPLAY_FREQUENCY) =>
+  min * Math.pow(max / min, x / width)
+
+export const binFrequency = (index, sampleRate, fftSize) => (index * sampleRate) / fftSize
+
+const blackmanWindow = (size) =>
+  Float32Array.from({ length: size }, (_, n) =>
+    0.42 - 0.5 * Math.cos((2 * Math.PI * n) / size) + 0.08 * Math.cos((4 * Math.PI * n) / size))
+
+// Computes spectra of sample blocks the way AnalyserNode.getFloatFrequencyData
+// does (Blackman window, magnitude smoothing across calls, dB), so detectors
+// fed by a live analyser can be run over clips. `next(samples, end)` analyses
+// the `fftSize` samples before `end` and returns the dB spectrum, which is
+// reused between calls.
+export const createAnalyserSpectrum = (fftSize, smoothingTimeConstant = 0) => {
+  const window = blackmanWindow(fftSize)
+  const re = new Float32Array(fftSize)
+  const im = new Float32Array(fftSize)
+  const magnitudes = new Float32Array(fftSize / 2)
+  const spectrum = new Float32Array(fftSize / 2)
+
+  return {
+    next(samples, end) {
+      const start = end - fftSize
+      for (let i = 0; i < fftSize; i++) {
+        re[i] = samples[start + i] * window[i]
+        im[i] = 0
+      }
+      fft(re, im)
+      for (let k = 0; k < spectrum.length; k++) {
+        const magnitude = Math.hypot(re[k], im[k]) / fftSize
+        magnitudes[k] = smoothingTimeConstant * magnitudes[k] + (1 - smoothingTimeConstant) * magnitude
+        spectrum[k] = 20 * Math.log10(Math.max(magnitudes[k], 1e-12))
+      }
+      return spectrum
+    }
+  }
+}
+
+export const logFrequencies = (count, min = MIN_DISPLAY_FREQUENCY, max = MAX_DISPLAY_FREQUENCY) =>
+  Array.from({ length: count }, (_, i) => min * Math.pow(max / min, i / (count - 1)))
+
+// Magnitude response (dB) of a peaking biquad, using the same Audio EQ
+// Cookbook formulas BiquadFilterNode does, so the curve matches what plays
+export const peakingResponseDb = (frequency, center, gainDb, q, sampleRate) => {
+  if (gainDb === 0) return 0
+
+  const a = Math.pow(10, gainDb / 40)
+  const w0 = (2 * Math.PI * center) / sampleRate
+  const alpha = Math.sin(w0) / (2 * q)
+  const cosW0 = Math.cos(w0)
+
+  const b0 = 1 + alpha * a
+  const b1 = -2 * cosW0
+  const b2 = 1 - alpha * a
+  const a0 = 1 + alpha / a
+  const a1 = -2 * cosW0
+  const a2 = 1 - alpha / a
+
+  const w = (2 * Math.PI * frequency) / sampleRate
+  const cos1 = Math.cos(w)
+  const sin1 = Math.sin(w)
+  const cos2 = Math.cos(2 * w)
+  const sin2 = Math.sin(2 * w)
+
+  const numRe = b0 + b1 * cos1 + b2 * cos2
+  const numIm = -(b1 * sin1 + b2 * sin2)
+  const denRe = a0 + a1 * cos1 + a2 * cos2
+  const denIm = -(a1 * sin1 + a2 * sin2)
+
+  const magnitude = Math.sqrt((numRe * numRe + numIm * numIm) / (denRe * denRe + denIm * denIm))
+  return 20 * Math.log10(magnitude)
+}
+
+// Sums the response of several peaking-filter stages, each given as
+// `{ bands, gains }`, at every requested frequency
+export const responseCurveDb = (frequencies, stages, sampleRate, q = EQ_Q) =>
+  frequencies.map(frequency =>
+    stages.reduce(
+      (total, { bands, gains }) =>
+        total + bands.reduce((sum, center, i) => sum + peakingResponseDb(frequency, center, gains[i], q, sampleRate), 0),
+      0
+    )
+  )
+
+// Dark blue -> cyan -> yellow -> white heat map for spectrogram cells
+export const intensityColor = (value) => {
+  const v = Math.min(1, Math.max(0, value))
+  const r = Math.round(255 * Math.min(1, Math.max(0, v * 2 - 0.6)))
+  const g = Math.round(255 * Math.min(1, Math.max(0, v * 1.6 - 0.2)))
+  const b = Math.round(255 * Math.min(1, Math.max(0.15, v < 0.5 ? v * 1.8 + 0.15 : 2 - v * 2)))
+  return `rgb(${r}, ${g}, ${b})`
+}
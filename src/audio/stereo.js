@@ -0,0 +1,51 @@
+import { createEqualizer } from './equalizer'
+import { AUDIOGRAM_FREQUENCIES } from './fitting'
+
+// Channel order matches ChannelMergerNode inputs: 0 = left, 1 = right
+export const EARS = ['left', 'right']
+
+export const createDefaultEarSettings = () => ({
+  left: { gain: 100, muted: false },
+  right: { gain: 100, muted: false }
+})
+
+// Balance runs from -100 (full left) to 100 (full right); the far ear is
+// attenuated while the near ear stays at unity
+export const balanceFactor = (balance, ear) => {
+  if (ear === 'left') return balance > 0 ? 1 - balance / 100 : 1
+  return balance < 0 ? 1 + balance / 100 : 1
+}
+
+export const earOutputGain = (settings, ear, balance) =>
+  settings.muted ? 0 : (settings.gain / 100) * balanceFactor(balance, ear)
+
+// Fans a mono signal out to an independent prescription -> equalizer -> gain
+// path per ear and merges them back into a stereo stream
+export const createEarPaths = (audioContext, input, { prescriptionGains, eqGains, earGains }) => {
+  const merger = audioContext.createChannelMerger(2)
+  const ears = {}
+
+  EARS.forEach((ear, channel) => {
+    const prescriptionStage = createEqualizer(audioContext, prescriptionGains[ear], AUDIOGRAM_FREQUENCIES)
+    const equalizer = createEqualizer(audioContext, eqGains[ear])
+    const gain = audioContext.createGain()
+    gain.gain.value = earGains[ear]
+
+    input.connect(prescriptionStage.input)
+    prescriptionStage.output.connect(equalizer.input)
+    equalizer.output.connect(gain)
+    gain.connect(merger, 0, channel)
+
+    ears[ear] = {
+      prescriptionFilters: prescriptionStage.filters,
+      eqFilters: equalizer.filters,
+      gain
+    }
+  })
+
+  return { output: merger, ears }
+}
+
+export const setEarGain = (gainNode, value) => {
+  gainNode.gain.setTargetAtTime(value, gainNode.context.currentTime, 0.02)
+}
@@ -0,0 +1,136 @@
+import { AUDIOGRAM_FREQUENCIES } from './fitting'
+import { dbToGain } from './dsp/envelope'
+
+// Built-in input signals for tuning without a microphone. Generators are
+// seeded, so the same signal always produces the same samples.
+
+export const SIGNAL_DURATION = 10
+const SIGNAL_LEVEL = -20
+const FADE_TIME = 0.01
+const SEED = 0x5eed
+
+// mulberry32: small, fast and good enough for test noise
+const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const normalizeRms = (samples, levelDb) => {
+  let sum = 0
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i]
+  }
+  const rms = Math.sqrt(sum / samples.length)
+  const scale = rms > 0 ? dbToGain(levelDb) / rms : 0
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] *= scale
+  }
+  return samples
+}
+
+// Short raised-cosine ramps so loops and tone steps don't click
+export const fadeEdges = (samples, start, end, fadeLength) => {
+  const length = Math.min(fadeLength, Math.floor((end - start) / 2))
+  for (let i = 0; i < length; i++) {
+    const gain = 0.5 - 0.5 * Math.cos((Math.PI * i) / length)
+    samples[start + i] *= gain
+    samples[end - 1 - i] *= gain
+  }
+}
+
+// Paul Kellet's pink noise filter over seeded white noise
+const pinkNoise = (sampleRate, duration) => {
+  const random = createRandom(SEED)
+  const samples = new Float32Array(Math.round(sampleRate * duration))
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0
+  for (let i = 0; i < samples.length; i++) {
+    const white = random() * 2 - 1
+    b0 = 0.99886 * b0 + white * 0.0555179
+    b1 = 0.99332 * b1 + white * 0.0750759
+    b2 = 0.96900 * b2 + white * 0.1538520
+    b3 = 0.86650 * b3 + white * 0.3104856
+    b4 = 0.55000 * b4 + white * 0.5329522
+    b5 = -0.7616 * b5 - white * 0.0168980
+    samples[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362
+    b6 = white * 0.115926
+  }
+  return samples
+}
+
+// Pink noise with an extra 6 dB/octave roll-off above 1 kHz and a high-pass
+// at 150 Hz, roughly the long-term average spectrum of speech
+const speechShapedNoise = (sampleRate, duration) => {
+  const samples = pinkNoise(sampleRate, duration)
+  const lowpass = Math.exp((-2 * Math.PI * 1000) / sampleRate)
+  const highpass = Math.exp((-2 * Math.PI * 150) / sampleRate)
+  let low = 0
+  let previousInput = 0
+  let high = 0
+  for (let i = 0; i < samples.length; i++) {
+    low = (1 - lowpass) * samples[i] + lowpass * low
+    high = highpass * (high + low - previousInput)
+    previousInput = low
+    samples[i] = high
+  }
+  return samples
+}
+
+// Exponential sine sweep from 20 Hz to just under Nyquist (or 20 kHz)
+const sweep = (sampleRate, duration) => {
+  const samples = new Float32Array(Math.round(sampleRate * duration))
+  const start = 20
+  const end = Math.min(20000, sampleRate * 0.45)
+  const rate = Math.log(end / start)
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / sampleRate
+    samples[i] = Math.sin(((2 * Math.PI * start * duration) / rate) * (Math.exp((t / duration) * rate) - 1))
+  }
+  fadeEdges(samples, 0, samples.length, Math.round(FADE_TIME * sampleRate))
+  return samples
+}
+
+// Equal-length steps through the audiogram frequencies
+const steppedTones = (sampleRate, duration) => {
+  const samples = new Float32Array(Math.round(sampleRate * duration))
+  const stepLength = Math.floor(samples.length / AUDIOGRAM_FREQUENCIES.length)
+  AUDIOGRAM_FREQUENCIES.forEach((frequency, step) => {
+    const start = step * stepLength
+    for (let i = 0; i < stepLength; i++) {
+      samples[start + i] = Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+    }
+    fadeEdges(samples, start, start + stepLength, Math.round(FADE_TIME * sampleRate))
+  })
+  return samples
+}
+
+const tone = (frequency) => (sampleRate, duration) => {
+  const samples = new Float32Array(Math.round(sampleRate * duration))
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+  }
+  return samples
+}
+
+// Wraps a generator so its output sits at the shared test signal level
+export const atLevel = (generate) => (sampleRate, duration = SIGNAL_DURATION) =>
+  normalizeRms(generate(sampleRate, duration), SIGNAL_LEVEL)
+
+export const TEST_SIGNALS = {
+  pinkNoise: { label: 'Pink noise', generate: atLevel(pinkNoise) },
+  speechNoise: { label: 'Speech-shaped noise', generate: atLevel(speechShapedNoise) },
+  sweep: { label: 'Sweep', generate: atLevel(sweep) },
+  tones: { label: 'Stepped tones', generate: atLevel(steppedTones) },
+  tone1k: { label: '1 kHz tone', generate: atLevel(tone(1000)) }
+}
+
+export const createSignalBuffer = (audioContext, channels) => {
+  const buffer = audioContext.createBuffer(channels.length, channels[0].length, audioContext.sampleRate)
+  channels.forEach((samples, channel) => buffer.copyToChannel(samples, channel))
+  return buffer
+}
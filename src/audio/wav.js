@@ -0,0 +1,45 @@
+// 16-bit PCM WAV encoding for exporting recordings
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i))
+  }
+}
+
+// `channels` is an array of equal-length Float32Arrays, one per channel
+export const encodeWav = (channels, sampleRate) => {
+  const channelCount = channels.length
+  const frames = channels[0]?.length ?? 0
+  const blockAlign = channelCount * 2
+  const dataSize = frames * blockAlign
+  const buffer = new ArrayBuffer(44 + dataSize)
+  const view = new DataView(buffer)
+
+  writeString(view, 0, 'RIFF')
+  view.setUint32(4, 36 + dataSize, true)
+  writeString(view, 8, 'WAVE')
+  writeString(view, 12, 'fmt ')
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true)
+  view.setUint16(22, channelCount, true)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * blockAlign, true)
+  view.setUint16(32, blockAlign, true)
+  view.setUint16(34, 16, true)
+  writeString(view, 36, 'data')
+  view.setUint32(40, dataSize, true)
+
+  let offset = 44
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][frame]))
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true)
+      offset += 2
+    }
+  }
+
+  return buffer
+}
+
+export const createWavBlob = (channels, sampleRate) =>
+  new Blob([encodeWav(channels, sampleRate)], { type: 'audio/wav' })
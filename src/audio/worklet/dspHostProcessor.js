@@ -0,0 +1,69 @@
+/* global AudioWorkletProcessor, registerProcessor, sampleRate */
+import { DSP_MODULES, runModules } from '../dsp'
+
+// Hosts a chain of DSP modules on the audio rendering thread. The main
+// thread sends `configure` with the ordered module list and `params` to
+// tweak a running module; instances are reused across reconfigures so
+// their internal state (envelopes, hold timers) survives. Anything a module
+// emits is posted back as a `module` message tagged with its id.
+class DspHostProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super()
+    // Each channel gets its own module instances so their state stays separate
+    this.channelCount = options?.processorOptions?.channelCount ?? 1
+    this.entries = []
+    this.chains = []
+    this.handleMessage({ type: 'configure', modules: options?.processorOptions?.modules ?? [] })
+    this.port.onmessage = (event) => this.handleMessage(event.data)
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'configure': {
+        this.entries = message.modules.map(({ id, type, params }) => {
+          const existing = this.entries.find(entry => entry.id === id && entry.type === type)
+          if (existing) {
+            existing.instances.forEach(instance => instance.setParams(params))
+            return existing
+          }
+          // Only the first channel reports back, so messages aren't duplicated
+          const emit = (data) => this.port.postMessage({ type: 'module', id, data })
+          const instances = Array.from({ length: this.channelCount }, (_, channel) =>
+            DSP_MODULES[type].create({ sampleRate, emit: channel === 0 ? emit : () => {}, ...params }))
+          return { id, type, instances }
+        })
+        this.chains = Array.from({ length: this.channelCount }, (_, channel) =>
+          this.entries.map(entry => entry.instances[channel]))
+        break
+      }
+      case 'params': {
+        const entry = this.entries.find(item => item.id === message.id)
+        if (entry) {
+          entry.instances.forEach(instance => instance.setParams(message.params))
+        }
+        break
+      }
+      default:
+        break
+    }
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0]
+    const output = outputs[0]
+
+    for (let channel = 0; channel < output.length; channel++) {
+      const target = output[channel]
+      if (input[channel]) {
+        target.set(input[channel])
+        runModules(this.chains[channel] ?? [], target)
+      } else {
+        target.fill(0)
+      }
+    }
+
+    return true
+  }
+}
+
+registerProcessor('dsp-host', DspHostProcessor)
@@ -0,0 +1,60 @@
+/* global AudioWorkletProcessor, registerProcessor */
+
+// Copies whatever reaches its input to the main thread in chunks. The
+// output stays silent; it only exists so the node is pulled by the graph.
+// A disconnected input records as silence so parallel taps stay aligned.
+// A 'stop' message sends the part-filled last chunk as a 'final' message and
+// ends recording.
+const CHUNK_FRAMES = 4096
+const RENDER_QUANTUM = 128
+const SILENCE = new Float32Array(RENDER_QUANTUM)
+
+class RecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super()
+    this.channelCount = options?.processorOptions?.channelCount ?? 1
+    this.stopped = false
+    this.resetChunk()
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'stop') this.stop()
+    }
+  }
+
+  stop() {
+    if (this.stopped) return
+    this.stopped = true
+    const channels = this.chunk.map(channel => channel.slice(0, this.filled))
+    this.port.postMessage({ type: 'final', channels }, channels.map(channel => channel.buffer))
+  }
+
+  resetChunk() {
+    this.chunk = Array.from({ length: this.channelCount }, () => new Float32Array(CHUNK_FRAMES))
+    this.filled = 0
+  }
+
+  process(inputs) {
+    if (this.stopped) return false
+    const input = inputs[0]
+    const frames = input[0]?.length ?? RENDER_QUANTUM
+    let read = 0
+
+    while (read < frames) {
+      const count = Math.min(frames - read, CHUNK_FRAMES - this.filled)
+      for (let channel = 0; channel < this.channelCount; channel++) {
+        const source = input[channel] ?? input[0] ?? SILENCE
+        this.chunk[channel].set(source.subarray(read, read + count), this.filled)
+      }
+      this.filled += count
+      read += count
+
+      if (this.filled === CHUNK_FRAMES) {
+        this.port.postMessage({ type: 'chunk', channels: this.chunk }, this.chunk.map(channel => channel.buffer))
+        this.resetChunk()
+      }
+    }
+
+    return true
+  }
+}
+
+registerProcessor('pcm-recorder', RecorderProcessor)
@@ -0,0 +1,52 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest'
+
+const RENDER_QUANTUM = 128
+
+// The worklet scope's globals, with a port that records what is posted
+let RecorderProcessor
+beforeAll(async () => {
+  vi.stubGlobal('AudioWorkletProcessor', class {
+    constructor() {
+      this.port = { postMessage: vi.fn() }
+    }
+  })
+  vi.stubGlobal('registerProcessor', (name, processor) => {
+    RecorderProcessor = processor
+  })
+  await import('./recorderProcessor.js')
+  vi.unstubAllGlobals()
+})
+
+// Feeds `frames` frames of a ramp through the processor a quantum at a time
+const feed = (recorder, frames) => {
+  for (let start = 0; start < frames; start += RENDER_QUANTUM) {
+    const block = Float32Array.from({ length: RENDER_QUANTUM }, (_, i) => start + i)
+    recorder.process([[block]])
+  }
+}
+
+const posted = (recorder) => recorder.port.postMessage.mock.calls.map(([message]) => message)
+
+describe('RecorderProcessor', () => {
+  it('sends full chunks as they fill', () => {
+    const recorder = new RecorderProcessor({ processorOptions: { channelCount: 1 } })
+    feed(recorder, 4096 * 2)
+    const messages = posted(recorder)
+    expect(messages.map(({ type }) => type)).toEqual(['chunk', 'chunk'])
+    expect(messages[1].channels[0][0]).toBe(4096)
+  })
+
+  it('sends the part-filled last chunk when stopped', () => {
+    const recorder = new RecorderProcessor({ processorOptions: { channelCount: 2 } })
+    feed(recorder, 4096 + 10 * RENDER_QUANTUM)
+    recorder.port.onmessage({ data: { type: 'stop' } })
+
+    const final = posted(recorder).at(-1)
+    expect(final.type).toBe('final')
+    expect(final.channels).toHaveLength(2)
+    expect(final.channels[0]).toHaveLength(10 * RENDER_QUANTUM)
+    expect(final.channels[0][0]).toBe(4096)
+    // Nothing is recorded after that, and the node can be let go
+    expect(recorder.process([[new Float32Array(RENDER_QUANTUM)]])).toBe(false)
+  })
+})
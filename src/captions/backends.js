@@ -0,0 +1,121 @@
+// Speech recognition backends for captions. A backend's `create` takes
+// `{ track, lang, onResult, onError }` and returns `{ start(), stop() }`.
+// `onResult({ text, isFinal, time })` can repeat for the same phrase as the
+// recognizer revises it; `time` is milliseconds since `start()`. `track` is
+// the processed audio, for backends that can listen to something other than
+// the default microphone.
+
+const SpeechRecognition = typeof window === 'undefined'
+  ? undefined
+  : window.SpeechRecognition || window.webkitSpeechRecognition
+
+// Whether recognition can run on the device and on the track it is given.
+// `processLocally` shipped after the track argument of `start()`, which
+// can't be detected itself, so it stands for both. Without them the browser
+// sends the raw default microphone to its cloud service, not what the user
+// hears.
+const LISTENS_LOCALLY = Boolean(SpeechRecognition) && 'processLocally' in SpeechRecognition.prototype
+
+// Harmless when nobody is talking; anything else stops the session
+const IGNORED_ERRORS = ['no-speech', 'aborted']
+
+const createWebSpeechBackend = ({ track, lang, onResult, onError }) => {
+  const recognition = new SpeechRecognition()
+  recognition.continuous = true
+  recognition.interimResults = true
+  recognition.lang = lang
+  if (LISTENS_LOCALLY) {
+    recognition.processLocally = true
+  }
+
+  let running = false
+  let startedAt = 0
+
+  // Browsers that can recognize a given track take it as an argument; older
+  // ones ignore it and listen to the default microphone instead
+  const listen = () => {
+    try {
+      recognition.start(track)
+    } catch (err) {
+      onError(err)
+    }
+  }
+
+  recognition.onresult = (event) => {
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const result = event.results[i]
+      onResult({ text: result[0].transcript, isFinal: result.isFinal, time: Date.now() - startedAt })
+    }
+  }
+  recognition.onerror = (event) => {
+    if (IGNORED_ERRORS.includes(event.error)) return
+    running = false
+    onError(new Error(event.error))
+  }
+  // Continuous recognition still ends after a pause, so pick it back up
+  recognition.onend = () => {
+    if (running) {
+      listen()
+    }
+  }
+
+  return {
+    start() {
+      running = true
+      startedAt = Date.now()
+      listen()
+    },
+    stop() {
+      running = false
+      recognition.stop()
+    }
+  }
+}
+
+export const MOCK_PHRASES = [
+  'Hi, can you hear me all right?',
+  'The train to the city leaves from platform four.',
+  'Let me know if I should speak up.'
+]
+
+// Scripted captions for tests and development: each phrase arrives as a
+// partial result and is then finalized, like a real recognizer
+export const createMockBackend = ({ onResult, phrases = MOCK_PHRASES, interval = 1500 }) => {
+  let timer = null
+  let startedAt = 0
+
+  return {
+    start() {
+      startedAt = Date.now()
+      let step = 0
+      timer = setInterval(() => {
+        const phrase = phrases[Math.floor(step / 2) % phrases.length]
+        const isFinal = step % 2 === 1
+        const words = phrase.split(' ')
+        onResult({
+          text: isFinal ? phrase : words.slice(0, Math.ceil(words.length / 2)).join(' '),
+          isFinal,
+          time: Date.now() - startedAt
+        })
+        step++
+      }, interval / 2)
+    },
+    stop() {
+      clearInterval(timer)
+    }
+  }
+}
+
+export const CAPTION_BACKENDS = {
+  webSpeech: {
+    label: LISTENS_LOCALLY ? 'Browser speech recognition' : 'Browser speech recognition (cloud, raw microphone)',
+    isSupported: () => Boolean(SpeechRecognition),
+    create: createWebSpeechBackend
+  },
+  mock: {
+    label: 'Demo transcript',
+    isSupported: () => true,
+    create: createMockBackend,
+    devOnly: true
+  }
+}
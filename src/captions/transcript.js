@@ -0,0 +1,65 @@
+// A transcript is a list of segments, `{ id, start, text, final }`, with
+// `start` in milliseconds from the beginning of the captioning session.
+// Recognizers keep revising the newest segment until they mark it final.
+
+// How long the last cue stays up in exports, and the longest any cue lasts
+const LAST_CUE_DURATION = 4000
+const MAX_CUE_DURATION = 10000
+
+export const applyCaptionResult = (segments, { text, isFinal, time }) => {
+  const trimmed = text.trim()
+  const last = segments[segments.length - 1]
+
+  if (last && !last.final) {
+    // A revision can come back empty when the recognizer drops a false start
+    if (!trimmed) return segments.slice(0, -1)
+    return [...segments.slice(0, -1), { ...last, text: trimmed, final: isFinal }]
+  }
+  if (!trimmed) return segments
+  return [...segments, { id: (last?.id ?? 0) + 1, start: time, text: trimmed, final: isFinal }]
+}
+
+export const searchCaptions = (segments, query) => {
+  const needle = query.trim().toLowerCase()
+  return needle ? segments.filter(segment => segment.text.toLowerCase().includes(needle)) : segments
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Whole-word, case-insensitive match, so "Al" doesn't fire on "also"
+export const mentionsName = (text, name) => {
+  const trimmed = name.trim()
+  if (!trimmed) return false
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(trimmed)}($|[^\\p{L}\\p{N}])`, 'iu').test(text)
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0')
+
+// m:ss, or h:mm:ss once the session passes an hour
+export const formatCaptionTime = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000)
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+  return hours ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`
+}
+
+const formatVttTime = (ms) => {
+  const hours = Math.floor(ms / 3600000)
+  const minutes = Math.floor((ms % 3600000) / 60000)
+  const seconds = Math.floor((ms % 60000) / 1000)
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(Math.floor(ms % 1000), 3)}`
+}
+
+export const toPlainText = (segments) =>
+  segments.map(segment => `[${formatCaptionTime(segment.start)}] ${segment.text}`).join('\n')
+
+// Each cue lasts until the next one starts, within MAX_CUE_DURATION
+export const toWebVtt = (segments) => {
+  const cues = segments.map((segment, index) => {
+    const next = segments[index + 1]
+    const end = Math.min(next ? next.start : segment.start + LAST_CUE_DURATION, segment.start + MAX_CUE_DURATION)
+    return `${index + 1}\n${formatVttTime(segment.start)} --> ${formatVttTime(end)}\n${segment.text}`
+  })
+  return ['WEBVTT', ...cues].join('\n\n') + '\n'
+}
@@ -0,0 +1,28 @@
+import React, { useEffect } from 'react'
+import { AlertCircle } from './icons/Icons'
+
+// How long (ms) the screen stays lit before clearing itself
+const FLASH_DURATION = 5000
+
+// Full-screen flash for a detected sound; tap anywhere to dismiss
+export const AlertFlash = React.memo(({ alert, onDismiss }) => {
+  useEffect(() => {
+    if (!alert) return
+    const timer = setTimeout(onDismiss, FLASH_DURATION)
+    return () => clearTimeout(timer)
+  }, [alert, onDismiss])
+
+  if (!alert) return null
+
+  return (
+    <div
+      role="alert"
+      className="fixed inset-0 z-50 flex flex-col items-center justify-center gap-4 bg-red-600/90 text-white animate-flash"
+      onClick={onDismiss}
+    >
+      <AlertCircle className="w-12 h-12" />
+      <span className="text-2xl font-bold text-center">{alert.label}</span>
+      <span className="text-sm">Tap to dismiss</span>
+    </div>
+  )
+})
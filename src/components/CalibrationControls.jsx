@@ -0,0 +1,71 @@
+import React, { useState } from 'react'
+import { Button } from './ui/Button'
+import { Badge } from './ui/Badge'
+
+const DEFAULT_REFERENCE_SPL = 70
+
+export const CalibrationControls = React.memo(({ offset, onCalibrate, onClear, isDarkMode }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [reference, setReference] = useState(DEFAULT_REFERENCE_SPL)
+  const [isMeasuring, setIsMeasuring] = useState(false)
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600'
+  const outlineClasses = isDarkMode ? 'border-gray-700' : 'border-gray-300'
+
+  const calibrate = async () => {
+    setIsMeasuring(true)
+    try {
+      await onCalibrate(Number(reference))
+    } finally {
+      setIsMeasuring(false)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <span className={`text-xs ${mutedText}`}>
+          {offset === null
+            ? 'Microphone not calibrated. Readings are in dBFS only.'
+            : `Calibrated: ${offset > 0 ? '+' : ''}${offset.toFixed(1)} dB offset`}
+        </span>
+        <Button variant="outline" size="sm" onClick={() => setIsOpen(!isOpen)} className={outlineClasses}>
+          {isOpen ? 'Done' : 'Calibrate'}
+        </Button>
+      </div>
+
+      {isOpen && (
+        <div className="space-y-2">
+          <p className={`text-xs ${mutedText}`}>
+            Play a steady sound, read its level with a sound level meter placed at the microphone,
+            enter that reading and press Measure. The result is only as accurate as the reference.
+          </p>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min={30}
+              max={120}
+              value={reference}
+              onChange={(e) => setReference(e.target.value)}
+              aria-label="Reference level in dB SPL"
+              className={`w-16 rounded-md border px-1 py-1 text-sm text-center bg-transparent ${outlineClasses}`}
+            />
+            <Badge variant="secondary">dB SPL</Badge>
+            <Button
+              size="sm"
+              onClick={calibrate}
+              disabled={isMeasuring || !Number.isFinite(Number(reference))}
+              className={isDarkMode ? 'bg-white text-black' : 'bg-black text-white'}
+            >
+              {isMeasuring ? 'Measuring...' : 'Measure'}
+            </Button>
+            {offset !== null && (
+              <Button variant="outline" size="sm" onClick={onClear} className={outlineClasses}>
+                Clear
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+})
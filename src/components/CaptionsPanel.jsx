@@ -0,0 +1,122 @@
+import React, { useCallback, useMemo, useState } from 'react'
+import { Button } from './ui/Button'
+import { Badge } from './ui/Badge'
+import { formatCaptionTime, searchCaptions, toPlainText, toWebVtt } from '../captions/transcript'
+
+// Lines kept on screen while captions are running
+const LIVE_LINES = 4
+
+const EXPORTS = [
+  { key: 'txt', label: 'Text', type: 'text/plain', format: toPlainText },
+  { key: 'vtt', label: 'WebVTT', type: 'text/vtt', format: toWebVtt }
+]
+
+const downloadText = (text, type, fileName) => {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+export const CaptionsPanel = React.memo(({
+  segments,
+  isCaptioning,
+  canCaption,
+  backends,
+  backend,
+  onBackendChange,
+  onStart,
+  onStop,
+  onClear,
+  error,
+  isDarkMode
+}) => {
+  const [query, setQuery] = useState('')
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600'
+  const outlineClasses = isDarkMode ? 'border-gray-700' : 'border-gray-300'
+
+  const matches = useMemo(() => searchCaptions(segments, query), [segments, query])
+
+  const exportTranscript = useCallback(({ key, type, format }) => {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-')
+    downloadText(format(segments), type, `captions-${stamp}.${key}`)
+  }, [segments])
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          aria-label="Speech recognition"
+          value={backend ?? ''}
+          onChange={(e) => onBackendChange(e.target.value)}
+          disabled={isCaptioning || !backends.length}
+          className={`flex-1 rounded-md border px-3 py-2 text-sm disabled:opacity-50 ${
+            isDarkMode ? 'bg-gray-900 border-gray-700 text-white' : 'bg-white border-gray-300 text-black'
+          }`}
+        >
+          {!backends.length && <option value="">Not available in this browser</option>}
+          {backends.map(({ key, label }) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <Button
+          variant={isCaptioning ? 'destructive' : 'default'}
+          size="sm"
+          onClick={isCaptioning ? onStop : onStart}
+          disabled={!isCaptioning && (!canCaption || !backend)}
+        >
+          {isCaptioning ? 'Stop captions' : 'Start captions'}
+        </Button>
+      </div>
+      {error && <p className="text-xs text-red-500">Captions stopped: {error}</p>}
+
+      {isCaptioning && (
+        <div aria-live="polite" className={`space-y-1 rounded-md p-3 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-200'}`}>
+          {segments.length === 0 && <p className={`text-sm ${mutedText}`}>Waiting for speech...</p>}
+          {segments.slice(-LIVE_LINES).map(segment => (
+            <p key={segment.id} className={`text-lg ${segment.final ? '' : mutedText}`}>{segment.text}</p>
+          ))}
+        </div>
+      )}
+
+      {!isCaptioning && segments.length > 0 && (
+        <div className="space-y-3">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search transcript"
+            aria-label="Search transcript"
+            className={`w-full rounded-md border px-3 py-2 text-sm bg-transparent ${outlineClasses}`}
+          />
+          <div className="max-h-64 overflow-y-auto space-y-2">
+            {matches.map(segment => (
+              <div key={segment.id} className="flex items-center gap-3 text-sm">
+                <Badge variant="secondary" className="shrink-0">{formatCaptionTime(segment.start)}</Badge>
+                <span>{segment.text}</span>
+              </div>
+            ))}
+            {matches.length === 0 && <p className={`text-sm ${mutedText}`}>Nothing matches "{query}"</p>}
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            {EXPORTS.map(item => (
+              <Button key={item.key} variant="outline" size="sm" onClick={() => exportTranscript(item)} className={outlineClasses}>
+                Export {item.label}
+              </Button>
+            ))}
+            <Button variant="outline" size="sm" onClick={onClear} className={outlineClasses}>
+              Clear
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <p className={`text-xs ${mutedText}`}>
+        Captions follow the processed sound. Recognition stays on this device where the browser supports
+        it; otherwise the browser's speech service may receive the audio. Transcripts are not saved.
+      </p>
+    </div>
+  )
+})
@@ -0,0 +1,116 @@
+import React, { useState } from 'react'
+import { Slider } from './ui/Slider'
+import { Badge } from './ui/Badge'
+import { Button } from './ui/Button'
+import {
+  CUSTOM_WDRC_PRESET,
+  WDRC_BAND_LABELS,
+  WDRC_CROSSOVERS,
+  WDRC_LIMITS,
+  WDRC_PRESETS
+} from '../audio/compressor'
+import { formatBandLabel } from '../audio/equalizer'
+
+const PARAMETERS = [
+  { key: 'threshold', label: 'Threshold', format: value => `${value} dB` },
+  { key: 'ratio', label: 'Ratio', format: value => `${value.toFixed(1)}:1` },
+  { key: 'attack', label: 'Attack', format: value => `${value} ms` },
+  { key: 'release', label: 'Release', format: value => `${value} ms` }
+]
+
+const bandRange = (index) => {
+  const lower = WDRC_CROSSOVERS[index - 1]
+  const upper = WDRC_CROSSOVERS[index]
+  if (!lower) return `< ${formatBandLabel(upper)} Hz`
+  if (!upper) return `> ${formatBandLabel(lower)} Hz`
+  return `${formatBandLabel(lower)}-${formatBandLabel(upper)} Hz`
+}
+
+export const CompressorControls = React.memo(({
+  settings,
+  ratioOverrides,
+  onPresetChange,
+  onBandChange,
+  isDarkMode
+}) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600'
+  const outlineClasses = isDarkMode ? 'border-gray-700' : 'border-gray-300'
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <span className="font-medium text-sm">Compression</span>
+          <p className={`text-xs ${mutedText}`}>
+            Keeps quiet sounds audible without loud sounds becoming uncomfortable
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+          className={outlineClasses}
+        >
+          {isOpen ? 'Hide' : 'Advanced'}
+        </Button>
+      </div>
+
+      <div className="flex items-center gap-2">
+        {Object.entries(WDRC_PRESETS).map(([preset, { label }]) => (
+          <Button
+            key={preset}
+            variant={settings.preset === preset ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => onPresetChange(preset)}
+            className={settings.preset === preset ? '' : outlineClasses}
+          >
+            {label}
+          </Button>
+        ))}
+        {settings.preset === CUSTOM_WDRC_PRESET && <Badge variant="outline">Custom</Badge>}
+      </div>
+
+      {isOpen && (
+        <div className="space-y-4">
+          {ratioOverrides && (
+            <p className={`text-xs ${mutedText}`}>
+              Ratios are set by your hearing profile while it is enabled.
+            </p>
+          )}
+          {settings.bands.map((band, index) => (
+            <div key={WDRC_BAND_LABELS[index]} className="space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium">{WDRC_BAND_LABELS[index]}</span>
+                <span className={`text-xs ${mutedText}`}>{bandRange(index)}</span>
+              </div>
+              {PARAMETERS.map(({ key, label, format }) => {
+                const limits = WDRC_LIMITS[key]
+                const isOverridden = key === 'ratio' && ratioOverrides
+                const value = isOverridden ? ratioOverrides[index] : band[key]
+                return (
+                  <div key={key} className="flex items-center gap-3">
+                    <span className={`text-xs w-16 shrink-0 ${mutedText}`}>{label}</span>
+                    <Slider
+                      value={[value]}
+                      onValueChange={(next) => onBandChange(index, key, next[0])}
+                      min={limits.min}
+                      max={limits.max}
+                      step={limits.step}
+                      disabled={isOverridden}
+                      className="w-full"
+                    />
+                    <Badge variant="secondary" className="w-16 shrink-0 justify-center">
+                      {format(value)}
+                    </Badge>
+                  </div>
+                )
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+})
@@ -0,0 +1,68 @@
+import React from 'react'
+import { Mic, Headphones } from './icons/Icons'
+import { DEFAULT_DEVICE_ID } from '../audio/devices'
+
+const DeviceSelect = ({ id, label, icon, devices, value, onChange, disabled, isDarkMode }) => (
+  <div className="space-y-2">
+    <label htmlFor={id} className="text-sm font-medium flex items-center gap-2">
+      {icon}
+      {label}
+    </label>
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className={`w-full rounded-md border px-3 py-2 text-sm disabled:opacity-50 ${
+        isDarkMode ? 'bg-gray-900 border-gray-700 text-white' : 'bg-white border-gray-300 text-black'
+      }`}
+    >
+      <option value={DEFAULT_DEVICE_ID}>System default</option>
+      {devices.map(device => (
+        <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+      ))}
+    </select>
+  </div>
+)
+
+export const DeviceControls = React.memo(({
+  inputs,
+  outputs,
+  inputDeviceId,
+  outputDeviceId,
+  canSelectOutput,
+  onInputChange,
+  onOutputChange,
+  isDarkMode
+}) => {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <DeviceSelect
+        id="input-device"
+        label="Microphone"
+        icon={<Mic className="w-4 h-4" />}
+        devices={inputs}
+        value={inputDeviceId}
+        onChange={onInputChange}
+        isDarkMode={isDarkMode}
+      />
+      <div className="space-y-2">
+        <DeviceSelect
+          id="output-device"
+          label="Output"
+          icon={<Headphones className="w-4 h-4" />}
+          devices={outputs}
+          value={outputDeviceId}
+          onChange={onOutputChange}
+          disabled={!canSelectOutput}
+          isDarkMode={isDarkMode}
+        />
+        {!canSelectOutput && (
+          <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            This browser always plays through the system output
+          </p>
+        )}
+      </div>
+    </div>
+  )
+})
@@ -0,0 +1,49 @@
+import React from 'react'
+import { Slider } from './ui/Slider'
+import { Badge } from './ui/Badge'
+import { FOCUS_DIRECTION_LIMIT } from '../audio/beamformer'
+
+const formatDirection = (direction) => {
+  if (direction === 0) return 'Front'
+  return direction < 0 ? `${-direction}° L` : `${direction}° R`
+}
+
+// `channelCount` is what the running microphone actually delivered, or
+// null while nothing is running
+export const DirectionalFocusControls = React.memo(({ settings, channelCount, onDirectionChange, isDarkMode }) => {
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600'
+
+  if (!settings.enabled) {
+    return (
+      <p className={`text-xs ${mutedText}`}>
+        Uses a stereo or array microphone to favour sound from one direction
+      </p>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-3">
+        <span className="text-xs font-medium w-20 shrink-0">Direction</span>
+        <Slider
+          value={[settings.direction]}
+          onValueChange={(value) => onDirectionChange(value[0])}
+          min={-FOCUS_DIRECTION_LIMIT}
+          max={FOCUS_DIRECTION_LIMIT}
+          step={15}
+          className="w-full"
+        />
+        <Badge variant="secondary" className="w-16 shrink-0 justify-center">{formatDirection(settings.direction)}</Badge>
+      </div>
+      {channelCount === 1 && (
+        <p className={`text-xs ${mutedText}`}>
+          This microphone is only delivering one channel, so focus has no effect. Some browsers only
+          allow more channels with echo cancellation turned off.
+        </p>
+      )}
+      {channelCount > 1 && (
+        <p className={`text-xs ${mutedText}`}>Combining {channelCount} microphone channels</p>
+      )}
+    </div>
+  )
+})
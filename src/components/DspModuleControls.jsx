@@ -0,0 +1,33 @@
+import React from 'react'
+import { Switch } from './ui/Switch'
+import { DSP_MODULES } from '../audio/dsp'
+
+export const DspModuleControls = React.memo(({ settings, isAvailable, onToggle, isDarkMode }) => {
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600'
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <span className="font-medium text-sm">Sample Processing</span>
+        <p className={`text-xs ${mutedText}`}>
+          {isAvailable
+            ? 'Extra processing stages that run on every audio sample'
+            : 'Not available in this browser (requires AudioWorklet)'}
+        </p>
+      </div>
+      {Object.entries(DSP_MODULES).filter(([, module]) => !module.hasOwnControls).map(([type, { label, description }]) => (
+        <div key={type} className="flex items-center justify-between">
+          <div>
+            <span className="text-sm">{label}</span>
+            <p className={`text-xs ${mutedText}`}>{description}</p>
+          </div>
+          <Switch
+            checked={settings[type].enabled}
+            onCheckedChange={() => onToggle(type)}
+            disabled={!isAvailable}
+          />
+        </div>
+      ))}
+    </div>
+  )
+})
@@ -0,0 +1,55 @@
+import React from 'react'
+import { Slider } from './ui/Slider'
+import { Badge } from './ui/Badge'
+import { Button } from './ui/Button'
+import { Volume2, VolumeX } from './icons/Icons'
+import { EARS } from '../audio/stereo'
+
+const EAR_LABELS = {
+  left: 'Left Ear',
+  right: 'Right Ear'
+}
+
+export const EarControls = React.memo(({ settings, onGainChange, onMuteToggle, isDarkMode }) => {
+  return (
+    <div className="space-y-3">
+      <div>
+        <span className="font-medium text-sm">Per-Ear Output</span>
+        <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          Set gain and mute separately for each ear
+        </p>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {EARS.map(ear => (
+          <div key={ear} className="space-y-3">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium">{EAR_LABELS[ear]}</span>
+              <div className="flex items-center gap-2">
+                <Badge variant="secondary">
+                  {settings[ear].muted ? 'Muted' : `${settings[ear].gain}%`}
+                </Badge>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => onMuteToggle(ear)}
+                  aria-label={`${settings[ear].muted ? 'Unmute' : 'Mute'} ${EAR_LABELS[ear].toLowerCase()}`}
+                  className={`${isDarkMode ? 'border-gray-700' : 'border-gray-300'}`}
+                >
+                  {settings[ear].muted ? <VolumeX className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
+                </Button>
+              </div>
+            </div>
+            <Slider
+              value={[settings[ear].gain]}
+              onValueChange={(value) => onGainChange(ear, value)}
+              max={100}
+              step={1}
+              disabled={settings[ear].muted}
+              className="w-full"
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+})
@@ -0,0 +1,72 @@
+import React, { useState } from 'react'
+import { Slider } from './ui/Slider'
+import { Badge } from './ui/Badge'
+import { Button } from './ui/Button'
+import { EQ_BANDS, EQ_MAX_GAIN, EQ_MIN_GAIN, formatBandLabel } from '../audio/equalizer'
+
+const formatGain = (gain) => `${gain > 0 ? '+' : ''}${gain} dB`
+
+const EAR_TARGETS = [
+  { key: 'both', label: 'Both', ears: ['left', 'right'] },
+  { key: 'left', label: 'Left', ears: ['left'] },
+  { key: 'right', label: 'Right', ears: ['right'] }
+]
+
+export const EqualizerControls = React.memo(({ gains, onBandChange, onReset, isDarkMode }) => {
+  const [target, setTarget] = useState('both')
+  const { ears } = EAR_TARGETS.find(item => item.key === target)
+  // When editing both ears the sliders follow the left ear
+  const displayed = gains[ears[0]]
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <span className="font-medium text-sm">Equalizer</span>
+          <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            Boost or cut individual frequency bands
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={onReset}
+          className={`${isDarkMode ? 'border-gray-700' : 'border-gray-300'}`}
+        >
+          Reset
+        </Button>
+      </div>
+      <div className="flex items-center gap-2">
+        {EAR_TARGETS.map(item => (
+          <Button
+            key={item.key}
+            variant={target === item.key ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => setTarget(item.key)}
+            className={target === item.key ? '' : `${isDarkMode ? 'border-gray-700' : 'border-gray-300'}`}
+          >
+            {item.label}
+          </Button>
+        ))}
+      </div>
+      <div className="space-y-3">
+        {EQ_BANDS.map((frequency, index) => (
+          <div key={frequency} className="flex items-center gap-3">
+            <span className="text-xs font-medium w-12 shrink-0">{formatBandLabel(frequency)} Hz</span>
+            <Slider
+              value={[displayed[index]]}
+              onValueChange={(value) => onBandChange(ears, index, value[0])}
+              min={EQ_MIN_GAIN}
+              max={EQ_MAX_GAIN}
+              step={1}
+              className="w-full"
+            />
+            <Badge variant="secondary" className="w-16 shrink-0 justify-center">
+              {formatGain(displayed[index])}
+            </Badge>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+})
@@ -0,0 +1,33 @@
+import React from 'react'
+import { Badge } from './ui/Badge'
+import { Button } from './ui/Button'
+
+const formatFrequency = (frequency) =>
+  frequency >= 1000 ? `${(frequency / 1000).toFixed(2)} kHz` : `${Math.round(frequency)} Hz`
+
+export const FeedbackControls = React.memo(({ notches, enabled, onReset, isDarkMode }) => {
+  const outlineClasses = isDarkMode ? 'border-gray-700' : 'border-gray-300'
+
+  if (!enabled) return null
+
+  return (
+    <div className="flex items-center justify-between gap-2">
+      {notches.length ? (
+        <div className="flex flex-wrap items-center gap-1">
+          {notches.map(frequency => (
+            <Badge key={frequency} variant="destructive">{formatFrequency(frequency)}</Badge>
+          ))}
+        </div>
+      ) : (
+        <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          No feedback detected
+        </p>
+      )}
+      {notches.length > 0 && (
+        <Button variant="outline" size="sm" onClick={onReset} className={outlineClasses}>
+          Reset
+        </Button>
+      )}
+    </div>
+  )
+})
@@ -0,0 +1,101 @@
+import React from 'react'
+import { Switch } from './ui/Switch'
+import { Button } from './ui/Button'
+import { Badge } from './ui/Badge'
+import {
+  AUDIOGRAM_FREQUENCIES,
+  FITTING_RULES,
+  MAX_THRESHOLD,
+  MIN_THRESHOLD
+} from '../audio/fitting'
+import { formatBandLabel } from '../audio/equalizer'
+
+const EARS = [
+  { key: 'left', label: 'L' },
+  { key: 'right', label: 'R' }
+]
+
+export const HearingProfileControls = React.memo(({
+  profile,
+  prescription,
+  onToggle,
+  onRuleChange,
+  onThresholdChange,
+  isDarkMode
+}) => {
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600'
+  const inputClasses = `w-full rounded-md border px-1 py-1 text-xs text-center bg-transparent ${
+    isDarkMode ? 'border-gray-700' : 'border-gray-300'
+  }`
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <span className="font-medium text-sm">Hearing Profile</span>
+          <p className={`text-xs ${mutedText}`}>
+            Enter your hearing thresholds (dB HL) to get prescribed gain per band
+          </p>
+        </div>
+        <Switch checked={profile.enabled} onCheckedChange={onToggle} />
+      </div>
+
+      <div className="flex items-center gap-2">
+        {Object.entries(FITTING_RULES).map(([rule, label]) => (
+          <Button
+            key={rule}
+            variant={profile.rule === rule ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => onRuleChange(rule)}
+            className={profile.rule === rule ? '' : `${isDarkMode ? 'border-gray-700' : 'border-gray-300'}`}
+          >
+            {label}
+          </Button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-9 gap-1 items-center">
+        <span className={`text-xs ${mutedText}`}>Hz</span>
+        {AUDIOGRAM_FREQUENCIES.map(frequency => (
+          <span key={frequency} className={`text-xs text-center ${mutedText}`}>
+            {formatBandLabel(frequency)}
+          </span>
+        ))}
+
+        {EARS.map(({ key, label }) => (
+          <React.Fragment key={key}>
+            <span className="text-xs font-medium">{label}</span>
+            {profile.audiogram[key].map((threshold, index) => (
+              <input
+                key={AUDIOGRAM_FREQUENCIES[index]}
+                type="number"
+                min={MIN_THRESHOLD}
+                max={MAX_THRESHOLD}
+                step={5}
+                value={threshold}
+                aria-label={`${key} ear threshold at ${AUDIOGRAM_FREQUENCIES[index]} Hz`}
+                onChange={(e) => onThresholdChange(key, index, e.target.value)}
+                className={inputClasses}
+              />
+            ))}
+          </React.Fragment>
+        ))}
+
+        {EARS.map(({ key, label }) => (
+          <React.Fragment key={`${key}-gain`}>
+            <span className={`text-xs ${mutedText}`}>{label} dB</span>
+            {prescription[key].gains.map((gain, index) => (
+              <Badge
+                key={AUDIOGRAM_FREQUENCIES[index]}
+                variant="secondary"
+                className="justify-center px-1"
+              >
+                +{Math.round(gain)}
+              </Badge>
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  )
+})
@@ -0,0 +1,87 @@
+import React, { useCallback, useRef } from 'react'
+import { Button } from './ui/Button'
+import { Waves } from './icons/Icons'
+import { TEST_SIGNALS } from '../audio/testSignals'
+
+// Select values: 'microphone', 'file' or 'signal:<key>'
+const toValue = (source) => (source.type === 'signal' ? `signal:${source.signal}` : source.type)
+
+export const InputSourceControls = React.memo(({
+  source,
+  fileName,
+  isRendering,
+  onSourceChange,
+  onFileChange,
+  onRender,
+  isDarkMode
+}) => {
+  const fileInputRef = useRef(null)
+  const outlineClasses = isDarkMode ? 'border-gray-700' : 'border-gray-300'
+
+  const changeSource = useCallback((value) => {
+    if (value === 'microphone') {
+      onSourceChange({ type: 'microphone' })
+    } else if (value === 'file') {
+      onSourceChange({ type: 'file', name: fileName })
+    } else {
+      onSourceChange({ type: 'signal', signal: value.slice('signal:'.length) })
+    }
+  }, [fileName, onSourceChange])
+
+  const pickFile = useCallback((e) => {
+    const file = e.target.files?.[0]
+    if (file) {
+      onFileChange(file)
+    }
+    e.target.value = ''
+  }, [onFileChange])
+
+  return (
+    <div className="space-y-2">
+      <label htmlFor="input-source" className="text-sm font-medium flex items-center gap-2">
+        <Waves className="w-4 h-4" />
+        Input Source
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          id="input-source"
+          value={toValue(source)}
+          onChange={(e) => changeSource(e.target.value)}
+          className={`flex-1 rounded-md border px-3 py-2 text-sm ${
+            isDarkMode ? 'bg-gray-900 border-gray-700 text-white' : 'bg-white border-gray-300 text-black'
+          }`}
+        >
+          <option value="microphone">Microphone</option>
+          {Object.entries(TEST_SIGNALS).map(([key, { label }]) => (
+            <option key={key} value={`signal:${key}`}>Test signal: {label}</option>
+          ))}
+          {fileName && <option value="file">File: {fileName}</option>}
+        </select>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="audio/*"
+          onChange={pickFile}
+          className="hidden"
+        />
+        <Button variant="outline" size="sm" onClick={() => fileInputRef.current.click()} className={outlineClasses}>
+          Choose file
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={onRender}
+          disabled={source.type === 'microphone' || isRendering}
+          className={outlineClasses}
+        >
+          {isRendering ? 'Rendering...' : 'Render offline'}
+        </Button>
+      </div>
+      <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+        {source.type === 'microphone'
+          ? 'Test signals and files run through the same processing. Offline renders appear under Recordings.'
+          : 'Playing on a loop through the current settings.'}
+      </p>
+    </div>
+  )
+})
@@ -0,0 +1,117 @@
+import React from 'react'
+import { Button } from './ui/Button'
+import { LATENCY_MODES, SAMPLE_RATES, estimateLatencyMs } from '../audio/latency'
+
+const NOT_REPORTED = 'Not reported'
+
+const formatSeconds = (seconds) => (seconds === undefined ? NOT_REPORTED : `${(seconds * 1000).toFixed(1)} ms`)
+const formatRate = (rate) => (rate ? `${(rate / 1000).toFixed(1)} kHz` : NOT_REPORTED)
+const formatFlag = (value) => (value === undefined ? NOT_REPORTED : value ? 'On' : 'Off')
+
+const Row = ({ label, value, mutedClasses }) => (
+  <div className="flex justify-between">
+    <span className={mutedClasses}>{label}:</span>
+    <span className="font-medium">{value}</span>
+  </div>
+)
+
+// Everything shown comes from the running context and input track, so it
+// reflects what the browser actually granted rather than what was asked for
+export const LatencyPanel = React.memo(({
+  info,
+  roundTripMs,
+  isMeasuring,
+  canMeasure,
+  latencyMode,
+  sampleRate,
+  onLatencyModeChange,
+  onSampleRateChange,
+  onMeasure,
+  isDarkMode
+}) => {
+  const mutedClasses = isDarkMode ? 'text-gray-400' : 'text-gray-600'
+  const selectClasses = `w-full rounded-md border px-3 py-2 text-sm ${
+    isDarkMode ? 'bg-gray-900 border-gray-700 text-white' : 'bg-white border-gray-300 text-black'
+  }`
+  const track = info?.track
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-2">
+          <label htmlFor="latency-mode" className="text-sm font-medium">Latency Mode</label>
+          <select
+            id="latency-mode"
+            value={latencyMode}
+            onChange={(e) => onLatencyModeChange(e.target.value)}
+            className={selectClasses}
+          >
+            {LATENCY_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-2">
+          <label htmlFor="sample-rate" className="text-sm font-medium">Sample Rate</label>
+          <select
+            id="sample-rate"
+            value={sampleRate}
+            onChange={(e) => onSampleRateChange(Number(e.target.value))}
+            className={selectClasses}
+          >
+            {SAMPLE_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate ? formatRate(rate) : 'Device default'}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className={`text-xs ${mutedClasses}`}>
+        Changes take effect the next time listening starts.
+      </p>
+
+      {info ? (
+        <div className="grid gap-3 text-sm">
+          <Row label="Sample rate" value={formatRate(info.sampleRate)} mutedClasses={mutedClasses} />
+          <Row label="Processing buffer" value={formatSeconds(info.baseLatency)} mutedClasses={mutedClasses} />
+          <Row label="Output latency" value={formatSeconds(info.outputLatency)} mutedClasses={mutedClasses} />
+          {track && (
+            <>
+              <Row label="Input latency" value={formatSeconds(track.latency)} mutedClasses={mutedClasses} />
+              <Row label="Input sample rate" value={formatRate(track.sampleRate)} mutedClasses={mutedClasses} />
+              <Row label="Input channels" value={track.channelCount ?? NOT_REPORTED} mutedClasses={mutedClasses} />
+              <Row label="Echo cancellation" value={formatFlag(track.echoCancellation)} mutedClasses={mutedClasses} />
+              <Row label="Noise suppression" value={formatFlag(track.noiseSuppression)} mutedClasses={mutedClasses} />
+              <Row label="Auto gain" value={formatFlag(track.autoGainControl)} mutedClasses={mutedClasses} />
+            </>
+          )}
+          <Row label="Reported total" value={`${estimateLatencyMs(info).toFixed(1)} ms`} mutedClasses={mutedClasses} />
+        </div>
+      ) : (
+        <p className={`text-sm ${mutedClasses}`}>Start listening to see the measured audio path.</p>
+      )}
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-sm font-medium">
+            Loopback round trip: {roundTripMs === undefined
+              ? 'Not measured'
+              : roundTripMs === null ? 'Click not heard' : `${roundTripMs.toFixed(1)} ms`}
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={onMeasure}
+            disabled={!canMeasure || isMeasuring}
+            className={isDarkMode ? 'border-gray-700' : 'border-gray-300'}
+          >
+            {isMeasuring ? 'Measuring...' : 'Measure'}
+          </Button>
+        </div>
+        <p className={`text-xs ${mutedClasses}`}>
+          Plays a click through the speakers and times its return to the microphone. Use speakers rather
+          than headphones, and turn echo cancellation off first or it may remove the click.
+        </p>
+      </div>
+    </div>
+  )
+})
@@ -0,0 +1,60 @@
+import React from 'react'
+import { Slider } from './ui/Slider'
+import { Badge } from './ui/Badge'
+import { Button } from './ui/Button'
+
+export const NoiseProfileControls = React.memo(({
+  settings,
+  canLearn,
+  onLearn,
+  onClear,
+  onStrengthChange,
+  isDarkMode
+}) => {
+  const { learning, noiseProfile, strength } = settings.params
+  const outlineClasses = isDarkMode ? 'border-gray-700' : 'border-gray-300'
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          {learning
+            ? 'Listening to the background. Stay quiet for a moment...'
+            : noiseProfile
+              ? 'Noise profile learned'
+              : 'Record a few seconds of background noise to remove it'}
+        </p>
+        <div className="flex items-center gap-2">
+          {noiseProfile && !learning && (
+            <Button variant="outline" size="sm" onClick={onClear} className={outlineClasses}>
+              Clear
+            </Button>
+          )}
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={onLearn}
+            disabled={!canLearn || learning}
+            className={outlineClasses}
+          >
+            {learning ? 'Learning...' : 'Learn noise'}
+          </Button>
+        </div>
+      </div>
+
+      {noiseProfile && (
+        <div className="flex items-center gap-3">
+          <span className="text-xs font-medium w-16 shrink-0">Strength</span>
+          <Slider
+            value={[strength]}
+            onValueChange={(value) => onStrengthChange(value[0])}
+            max={100}
+            step={5}
+            className="w-full"
+          />
+          <Badge variant="secondary" className="w-16 shrink-0 justify-center">{strength}%</Badge>
+        </div>
+      )}
+    </div>
+  )
+})
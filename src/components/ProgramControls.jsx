@@ -0,0 +1,98 @@
+import React, { useState } from 'react'
+import { Button } from './ui/Button'
+
+export const ProgramControls = React.memo(({
+  programs,
+  activeProgramId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onSave,
+  isDarkMode
+}) => {
+  // null, 'create' or 'rename'
+  const [editMode, setEditMode] = useState(null)
+  const [name, setName] = useState('')
+  const outlineClasses = isDarkMode ? 'border-gray-700' : 'border-gray-300'
+  const activeProgram = programs.find(program => program.id === activeProgramId)
+
+  const startEditing = (mode) => {
+    setEditMode(mode)
+    setName(mode === 'rename' && activeProgram ? activeProgram.name : '')
+  }
+
+  const submit = (e) => {
+    e.preventDefault()
+    if (editMode === 'create') {
+      onCreate(name)
+    } else if (editMode === 'rename' && activeProgram) {
+      onRename(activeProgram.id, name)
+    }
+    setEditMode(null)
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {programs.map(program => (
+          <Button
+            key={program.id}
+            variant={program.id === activeProgramId ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => onSelect(program.id)}
+            aria-pressed={program.id === activeProgramId}
+            className={program.id === activeProgramId ? '' : outlineClasses}
+          >
+            {program.name}
+          </Button>
+        ))}
+      </div>
+
+      {editMode ? (
+        <form onSubmit={submit} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Program name"
+            aria-label="Program name"
+            autoFocus
+            className={`w-full rounded-md border px-3 py-2 text-sm bg-transparent ${outlineClasses}`}
+          />
+          <Button type="submit" size="sm" className={isDarkMode ? 'bg-white text-black' : 'bg-black text-white'}>
+            {editMode === 'create' ? 'Create' : 'Rename'}
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setEditMode(null)} className={outlineClasses}>
+            Cancel
+          </Button>
+        </form>
+      ) : (
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="outline" size="sm" onClick={() => startEditing('create')} className={outlineClasses}>
+            New from current
+          </Button>
+          {activeProgram && (
+            <>
+              <Button variant="outline" size="sm" onClick={() => onSave(activeProgram.id)} className={outlineClasses}>
+                Save changes
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => startEditing('rename')} className={outlineClasses}>
+                Rename
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => onDelete(activeProgram.id)}
+                disabled={programs.length <= 1}
+                className={outlineClasses}
+              >
+                Delete
+              </Button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+})
@@ -0,0 +1,178 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { Badge } from './ui/Badge'
+import { Button } from './ui/Button'
+import { Switch } from './ui/Switch'
+import { createWavBlob } from '../audio/wav'
+
+const SOURCES = [
+  { key: 'processed', label: 'A: Processed' },
+  { key: 'raw', label: 'B: Raw' }
+]
+
+const formatDuration = (seconds) => {
+  const whole = Math.floor(seconds)
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`
+}
+
+const toFileName = (recording, source) =>
+  `${recording.name.replace(/[^\w-]+/g, '-')}-${source}.wav`
+
+export const RecorderControls = React.memo(({
+  recordings,
+  isRecording,
+  elapsed,
+  maxDuration,
+  canRecord,
+  includeRaw,
+  onIncludeRawChange,
+  onStart,
+  onStop,
+  onDelete,
+  isDarkMode
+}) => {
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600'
+  const outlineClasses = isDarkMode ? 'border-gray-700' : 'border-gray-300'
+  const audioRef = useRef(null)
+  const urlsRef = useRef({})
+  // { id, source } of whatever is playing
+  const [playing, setPlaying] = useState(null)
+
+  // WAV blobs are built on first use and kept until the recording goes away
+  const urlFor = useCallback((recording, source) => {
+    const key = `${recording.id}:${source}`
+    if (!urlsRef.current[key]) {
+      urlsRef.current[key] = URL.createObjectURL(createWavBlob(recording[source], recording.sampleRate))
+    }
+    return urlsRef.current[key]
+  }, [])
+
+  const revokeUrls = useCallback((id) => {
+    Object.keys(urlsRef.current)
+      .filter(key => id === undefined || key.startsWith(`${id}:`))
+      .forEach(key => {
+        URL.revokeObjectURL(urlsRef.current[key])
+        delete urlsRef.current[key]
+      })
+  }, [])
+
+  useEffect(() => {
+    const audio = new Audio()
+    audio.onended = () => setPlaying(null)
+    audioRef.current = audio
+    return () => {
+      audio.pause()
+      audio.onended = null
+      revokeUrls()
+    }
+  }, [revokeUrls])
+
+  // Switching between A and B keeps the playback position
+  const play = useCallback((recording, source) => {
+    const audio = audioRef.current
+    const resumeAt = playing?.id === recording.id ? audio.currentTime : 0
+    audio.src = urlFor(recording, source)
+    audio.addEventListener('loadedmetadata', () => {
+      audio.currentTime = resumeAt
+    }, { once: true })
+    audio.play().catch(err => console.error('Playback failed:', err))
+    setPlaying({ id: recording.id, source })
+  }, [playing, urlFor])
+
+  const stop = useCallback(() => {
+    audioRef.current.pause()
+    setPlaying(null)
+  }, [])
+
+  const exportWav = useCallback((recording, source) => {
+    const link = document.createElement('a')
+    link.href = urlFor(recording, source)
+    link.download = toFileName(recording, source)
+    link.click()
+  }, [urlFor])
+
+  const remove = useCallback((id) => {
+    if (playing?.id === id) {
+      stop()
+    }
+    revokeUrls(id)
+    onDelete(id)
+  }, [playing, stop, revokeUrls, onDelete])
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <Switch checked={includeRaw} onCheckedChange={onIncludeRawChange} disabled={isRecording} />
+          <span className="text-sm">Also record raw microphone</span>
+        </div>
+        <div className="flex items-center gap-2">
+          {isRecording && (
+            <Badge variant="destructive">
+              REC {formatDuration(elapsed)} / {formatDuration(maxDuration)}
+            </Badge>
+          )}
+          <Button
+            variant={isRecording ? 'destructive' : 'default'}
+            size="sm"
+            onClick={isRecording ? onStop : onStart}
+            disabled={!isRecording && !canRecord}
+          >
+            {isRecording ? 'Stop' : 'Record'}
+          </Button>
+        </div>
+      </div>
+
+      {!canRecord && !isRecording && (
+        <p className={`text-xs ${mutedText}`}>Start listening to record what you hear.</p>
+      )}
+
+      {recordings.length > 0 && (
+        <div className="space-y-2">
+          {recordings.map(recording => {
+            const isPlaying = playing?.id === recording.id
+            return (
+              <div key={recording.id} className="space-y-2 p-3 rounded-lg border border-gray-200 dark:border-gray-800">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm font-medium">{recording.name}</span>
+                  <Badge variant="secondary">{formatDuration(recording.duration)}</Badge>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  {SOURCES.map(({ key, label }) => (
+                    <Button
+                      key={key}
+                      variant={isPlaying && playing.source === key ? 'default' : 'outline'}
+                      size="sm"
+                      onClick={() => play(recording, key)}
+                      disabled={!recording[key]}
+                      className={isPlaying && playing.source === key ? '' : outlineClasses}
+                    >
+                      {label}
+                    </Button>
+                  ))}
+                  {isPlaying && (
+                    <Button variant="outline" size="sm" onClick={stop} className={outlineClasses}>
+                      Stop
+                    </Button>
+                  )}
+                  {SOURCES.filter(({ key }) => recording[key]).map(({ key }) => (
+                    <Button
+                      key={key}
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => exportWav(recording, key)}
+                    >
+                      Export {key} WAV
+                    </Button>
+                  ))}
+                  <Button variant="ghost" size="sm" onClick={() => remove(recording.id)}>
+                    Delete
+                  </Button>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+})
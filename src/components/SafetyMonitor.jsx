@@ -0,0 +1,166 @@
+import React, { useCallback, useState } from 'react'
+import { Badge } from './ui/Badge'
+import { Button } from './ui/Button'
+import { Slider } from './ui/Slider'
+import { Dialog, DialogDescription, DialogFooter, DialogTitle } from './ui/Dialog'
+import { EXPOSURE_STANDARDS, MAX_OUTPUT_LIMITS } from '../audio/exposure'
+import { MIN_DB } from '../audio/metering'
+
+const STATUS_BADGES = {
+  ok: { label: 'SAFE', variant: 'secondary' },
+  warning: { label: 'WARNING', variant: 'outline' },
+  limiting: { label: 'LIMITING', variant: 'destructive' }
+}
+
+export const SafetyMonitor = React.memo(({
+  dose,
+  levelSpl,
+  attenuationDb,
+  status,
+  settings,
+  onSettingsChange,
+  isDarkMode
+}) => {
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600'
+  const outlineClasses = isDarkMode ? 'border-gray-700' : 'border-gray-300'
+  const dosePercent = Math.round(dose * 100)
+  const badge = STATUS_BADGES[status]
+  // A raised ceiling waits here until the user confirms it
+  const [pendingMaxOutput, setPendingMaxOutput] = useState(null)
+
+  const changeMaxOutput = useCallback((value) => {
+    if (value > settings.maxOutputDb) {
+      setPendingMaxOutput(value)
+    } else {
+      onSettingsChange({ maxOutputDb: value })
+    }
+  }, [settings.maxOutputDb, onSettingsChange])
+
+  const closeDialog = useCallback((open) => {
+    if (!open) {
+      setPendingMaxOutput(null)
+    }
+  }, [])
+
+  const confirmMaxOutput = useCallback(() => {
+    onSettingsChange({ maxOutputDb: pendingMaxOutput })
+    setPendingMaxOutput(null)
+  }, [pendingMaxOutput, onSettingsChange])
+
+  const formatMaxOutput = (db) => `${db} dBFS (~${settings.fullScaleSpl + db} dB SPL)`
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-medium">Today's noise dose</span>
+          <div className="flex items-center gap-2">
+            <Badge variant={badge.variant}>{badge.label}</Badge>
+            <Badge variant="secondary">{dosePercent}%</Badge>
+          </div>
+        </div>
+        <div className={`w-full h-4 rounded-full overflow-hidden ${isDarkMode ? 'bg-gray-800' : 'bg-gray-200'}`}>
+          <div
+            className={`h-4 rounded-full ${dose >= 1 ? 'bg-red-600' : dose >= 0.8 ? 'bg-amber-500' : 'bg-green-500'}`}
+            style={{ width: `${Math.min(100, dosePercent)}%` }}
+          />
+        </div>
+        <p className={`text-xs ${mutedText}`}>
+          {levelSpl > MIN_DB
+            ? `Estimated level at your ears: ~${Math.round(levelSpl)} dB SPL`
+            : 'Estimated level at your ears: silent'}
+          {attenuationDb < 0 && ` (reduced by ${Math.round(-attenuationDb)} dB)`}
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        <span className="text-sm font-medium">Exposure standard</span>
+        <div className="flex items-center gap-2">
+          {Object.entries(EXPOSURE_STANDARDS).map(([key, { label, criterion, hours }]) => (
+            <Button
+              key={key}
+              variant={settings.standard === key ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => onSettingsChange({ standard: key })}
+              title={`${criterion} dB for ${hours.toFixed(1)} h per day`}
+              className={settings.standard === key ? '' : outlineClasses}
+            >
+              {label}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-medium">Maximum output</span>
+          <Badge variant="secondary">{formatMaxOutput(settings.maxOutputDb)}</Badge>
+        </div>
+        <Slider
+          value={[settings.maxOutputDb]}
+          onValueChange={(value) => changeMaxOutput(value[0])}
+          min={MAX_OUTPUT_LIMITS.min}
+          max={MAX_OUTPUT_LIMITS.max}
+          step={1}
+          className="w-full"
+        />
+        <p className={`text-xs ${mutedText}`}>
+          A hard limiter keeps every peak below this level, whatever the volume is set to.
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-medium">Momentary limit</span>
+          <Badge variant="secondary">{settings.momentaryLimit} dB SPL</Badge>
+        </div>
+        <Slider
+          value={[settings.momentaryLimit]}
+          onValueChange={(value) => onSettingsChange({ momentaryLimit: value[0] })}
+          min={80}
+          max={110}
+          step={1}
+          className="w-full"
+        />
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-medium">Headphone level at full volume</span>
+          <Badge variant="secondary">{settings.fullScaleSpl} dB SPL</Badge>
+        </div>
+        <Slider
+          value={[settings.fullScaleSpl]}
+          onValueChange={(value) => onSettingsChange({ fullScaleSpl: value[0] })}
+          min={80}
+          max={120}
+          step={1}
+          className="w-full"
+        />
+        <p className={`text-xs ${mutedText}`}>
+          Check your headphones' specifications. Higher values make the estimate more cautious.
+        </p>
+      </div>
+
+      <Dialog
+        open={pendingMaxOutput !== null}
+        onOpenChange={closeDialog}
+        className={isDarkMode ? 'bg-gray-900 border-gray-800 text-white' : 'bg-white border-gray-200 text-black'}
+      >
+        <DialogTitle>Raise maximum output?</DialogTitle>
+        <DialogDescription className={mutedText}>
+          {pendingMaxOutput !== null &&
+            `Peaks will be allowed up to ${formatMaxOutput(pendingMaxOutput)} instead of ${formatMaxOutput(settings.maxOutputDb)}. Loud sound can permanently damage your hearing.`}
+        </DialogDescription>
+        <DialogFooter>
+          <Button variant="outline" size="sm" onClick={() => closeDialog(false)} className={outlineClasses}>
+            Keep current limit
+          </Button>
+          <Button variant="destructive" size="sm" onClick={confirmMaxOutput}>
+            Raise limit
+          </Button>
+        </DialogFooter>
+      </Dialog>
+    </div>
+  )
+})
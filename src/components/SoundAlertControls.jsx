@@ -0,0 +1,120 @@
+import React from 'react'
+import { Switch } from './ui/Switch'
+import { Badge } from './ui/Badge'
+import { SOUND_EVENTS } from '../audio/soundEvents'
+
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+const ToggleRow = ({ label, description, checked, onChange, disabled, mutedText }) => (
+  <div className="flex items-center justify-between">
+    <div>
+      <span className="text-sm">{label}</span>
+      {description && <p className={`text-xs ${mutedText}`}>{description}</p>}
+    </div>
+    <Switch checked={checked} onCheckedChange={onChange} disabled={disabled} />
+  </div>
+)
+
+export const SoundAlertControls = React.memo(({
+  settings,
+  onSettingsChange,
+  onNotifyChange,
+  notificationPermission,
+  canVibrate,
+  passthrough,
+  onPassthroughChange,
+  recent,
+  isActive,
+  isDarkMode
+}) => {
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600'
+
+  return (
+    <div className="space-y-4">
+      <ToggleRow
+        label="Watch for sounds"
+        description={isActive ? 'Listening for the sounds below' : 'Starts watching when listening starts'}
+        checked={settings.enabled}
+        onChange={(enabled) => onSettingsChange({ enabled })}
+        mutedText={mutedText}
+      />
+      <ToggleRow
+        label="Play audio through"
+        description="Turn off to only watch for sounds, with nothing played back"
+        checked={passthrough}
+        onChange={onPassthroughChange}
+        mutedText={mutedText}
+      />
+
+      <div className="space-y-3">
+        <span className="font-medium text-sm">Sounds</span>
+        {Object.entries(SOUND_EVENTS).map(([type, { label }]) => (
+          <ToggleRow
+            key={type}
+            label={label}
+            checked={settings.events[type]}
+            onChange={(checked) => onSettingsChange({ events: { ...settings.events, [type]: checked } })}
+            disabled={!settings.enabled}
+            mutedText={mutedText}
+          />
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <label htmlFor="alert-name" className="font-medium text-sm">Your name</label>
+        <input
+          id="alert-name"
+          type="text"
+          value={settings.name}
+          onChange={(e) => onSettingsChange({ name: e.target.value })}
+          disabled={!settings.enabled}
+          placeholder="Alert me when someone says it"
+          className={`w-full rounded-md border px-3 py-2 text-sm bg-transparent disabled:opacity-50 ${
+            isDarkMode ? 'border-gray-700' : 'border-gray-300'
+          }`}
+        />
+        <p className={`text-xs ${mutedText}`}>Needs live captions to be running</p>
+      </div>
+
+      <div className="space-y-3">
+        <span className="font-medium text-sm">Alert me with</span>
+        <ToggleRow
+          label="Screen flash"
+          checked={settings.flash}
+          onChange={(flash) => onSettingsChange({ flash })}
+          mutedText={mutedText}
+        />
+        <ToggleRow
+          label="Vibration"
+          description={canVibrate ? null : 'Not supported on this device'}
+          checked={settings.vibrate && canVibrate}
+          onChange={(vibrate) => onSettingsChange({ vibrate })}
+          disabled={!canVibrate}
+          mutedText={mutedText}
+        />
+        <ToggleRow
+          label="Notification"
+          description={notificationPermission === 'unsupported'
+            ? 'Not supported in this browser'
+            : notificationPermission === 'denied' ? 'Blocked in the browser settings' : null}
+          checked={settings.notify && notificationPermission === 'granted'}
+          onChange={onNotifyChange}
+          disabled={notificationPermission === 'unsupported' || notificationPermission === 'denied'}
+          mutedText={mutedText}
+        />
+      </div>
+
+      {recent.length > 0 && (
+        <div className="space-y-2">
+          <span className="font-medium text-sm">Recent</span>
+          {recent.map(alert => (
+            <div key={alert.id} className="flex items-center justify-between text-sm">
+              <Badge variant="destructive">{alert.label}</Badge>
+              <span className={mutedText}>{formatTime(alert.time)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+})
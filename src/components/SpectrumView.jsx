@@ -0,0 +1,172 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { Button } from './ui/Button'
+import {
+  binFrequency,
+  frequencyToX,
+  intensityColor,
+  logFrequencies,
+  responseCurveDb,
+  xToFrequency
+} from '../audio/spectrum'
+
+const WIDTH = 640
+const HEIGHT = 180
+const CURVE_RANGE_DB = 24
+const GRID_FREQUENCIES = [100, 250, 500, 1000, 2000, 4000, 8000]
+const CURVE_COLORS = { left: 'rgb(59, 130, 246)', right: 'rgb(239, 68, 68)' }
+const CURVE_POINTS = 160
+
+const MODES = [
+  { key: 'spectrum', label: 'Spectrum' },
+  { key: 'spectrogram', label: 'Spectrogram' }
+]
+
+const formatFrequency = (frequency) => (frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`)
+
+const drawGrid = (ctx, isDarkMode) => {
+  ctx.strokeStyle = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+  ctx.fillStyle = isDarkMode ? 'rgba(255, 255, 255, 0.5)' : 'rgba(0, 0, 0, 0.5)'
+  ctx.font = '10px sans-serif'
+  ctx.lineWidth = 1
+  GRID_FREQUENCIES.forEach(frequency => {
+    const x = Math.round(frequencyToX(frequency, WIDTH)) + 0.5
+    ctx.beginPath()
+    ctx.moveTo(x, 0)
+    ctx.lineTo(x, HEIGHT)
+    ctx.stroke()
+    ctx.fillText(formatFrequency(frequency), x + 3, HEIGHT - 4)
+  })
+  // 0 dB line for the EQ curve
+  ctx.beginPath()
+  ctx.moveTo(0, HEIGHT / 2 + 0.5)
+  ctx.lineTo(WIDTH, HEIGHT / 2 + 0.5)
+  ctx.stroke()
+}
+
+const drawSpectrum = (ctx, analyser, data, curves, frequencies, isDarkMode) => {
+  const { sampleRate } = analyser.context
+  const { minDecibels, maxDecibels, fftSize } = analyser
+  analyser.getFloatFrequencyData(data)
+
+  ctx.clearRect(0, 0, WIDTH, HEIGHT)
+  drawGrid(ctx, isDarkMode)
+
+  ctx.beginPath()
+  ctx.moveTo(0, HEIGHT)
+  for (let i = 1; i < data.length; i++) {
+    const x = frequencyToX(binFrequency(i, sampleRate, fftSize), WIDTH)
+    if (x < 0) continue
+    if (x > WIDTH) break
+    const level = (data[i] - minDecibels) / (maxDecibels - minDecibels)
+    ctx.lineTo(x, HEIGHT - Math.min(1, Math.max(0, level)) * HEIGHT)
+  }
+  ctx.lineTo(WIDTH, HEIGHT)
+  ctx.closePath()
+  ctx.fillStyle = 'rgba(34, 197, 94, 0.45)'
+  ctx.fill()
+
+  Object.entries(curves).forEach(([ear, curve]) => {
+    ctx.beginPath()
+    curve.forEach((db, i) => {
+      const x = frequencyToX(frequencies[i], WIDTH)
+      const y = HEIGHT / 2 - (db / CURVE_RANGE_DB) * (HEIGHT / 2)
+      if (i === 0) ctx.moveTo(x, y)
+      else ctx.lineTo(x, y)
+    })
+    ctx.strokeStyle = CURVE_COLORS[ear]
+    ctx.lineWidth = 2
+    ctx.stroke()
+  })
+}
+
+const drawSpectrogramColumn = (ctx, analyser, data) => {
+  const { sampleRate } = analyser.context
+  const { minDecibels, maxDecibels, fftSize } = analyser
+  analyser.getFloatFrequencyData(data)
+
+  // Scroll everything one pixel left and paint the newest column on the right
+  ctx.drawImage(ctx.canvas, -1, 0)
+  for (let y = 0; y < HEIGHT; y += 2) {
+    const frequency = xToFrequency(HEIGHT - y, HEIGHT)
+    const bin = Math.min(data.length - 1, Math.round((frequency * fftSize) / sampleRate))
+    ctx.fillStyle = intensityColor((data[bin] - minDecibels) / (maxDecibels - minDecibels))
+    ctx.fillRect(WIDTH - 1, y, 1, 2)
+  }
+}
+
+// `eqStages` maps each ear to the list of `{ bands, gains }` filter stages
+// it runs through, so the overlay shows what is actually being boosted
+export const SpectrumView = React.memo(({ analyser, isActive, eqStages, sampleRate, isDarkMode }) => {
+  const [mode, setMode] = useState('spectrum')
+  const canvasRef = useRef(null)
+  const frequencies = useMemo(() => logFrequencies(CURVE_POINTS), [])
+  const curves = useMemo(
+    () => Object.fromEntries(
+      Object.entries(eqStages).map(([ear, stages]) => [ear, responseCurveDb(frequencies, stages, sampleRate)])
+    ),
+    [eqStages, frequencies, sampleRate]
+  )
+  const curvesRef = useRef(curves)
+  curvesRef.current = curves
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !isActive || !analyser) return
+
+    const ctx = canvas.getContext('2d')
+    ctx.clearRect(0, 0, WIDTH, HEIGHT)
+    let data = null
+    let frame = null
+
+    const draw = () => {
+      if (!data || data.length !== analyser.frequencyBinCount) {
+        data = new Float32Array(analyser.frequencyBinCount)
+      }
+      if (mode === 'spectrum') {
+        drawSpectrum(ctx, analyser, data, curvesRef.current, frequencies, isDarkMode)
+      } else {
+        drawSpectrogramColumn(ctx, analyser, data)
+      }
+      frame = requestAnimationFrame(draw)
+    }
+    draw()
+
+    return () => cancelAnimationFrame(frame)
+  }, [analyser, isActive, mode, frequencies, isDarkMode])
+
+  const outlineClasses = isDarkMode ? 'border-gray-700' : 'border-gray-300'
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium">Frequency View</span>
+        <div className="flex items-center gap-2">
+          {MODES.map(item => (
+            <Button
+              key={item.key}
+              variant={mode === item.key ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setMode(item.key)}
+              className={mode === item.key ? '' : outlineClasses}
+            >
+              {item.label}
+            </Button>
+          ))}
+        </div>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={WIDTH}
+        height={HEIGHT}
+        className={`w-full rounded-md ${isDarkMode ? 'bg-gray-800' : 'bg-gray-200'}`}
+        aria-label={mode === 'spectrum' ? 'Live frequency spectrum with equalizer curve' : 'Scrolling spectrogram'}
+        role="img"
+      />
+      {mode === 'spectrum' && (
+        <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          Lines show the total boost for the left (blue) and right (red) ear
+        </p>
+      )}
+    </div>
+  )
+})
@@ -0,0 +1,42 @@
+import React from 'react'
+import { Slider } from './ui/Slider'
+import { Badge } from './ui/Badge'
+
+export const SpeechFocusControls = React.memo(({ settings, onParamsChange, isDarkMode }) => {
+  const { emphasis, reduction } = settings.params
+
+  if (!settings.enabled) {
+    return (
+      <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+        Boosts 300 Hz-4 kHz while someone is talking and turns down the gaps between
+      </p>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-3">
+        <span className="text-xs font-medium w-20 shrink-0">Voice boost</span>
+        <Slider
+          value={[emphasis]}
+          onValueChange={(value) => onParamsChange({ emphasis: value[0] })}
+          max={12}
+          step={1}
+          className="w-full"
+        />
+        <Badge variant="secondary" className="w-16 shrink-0 justify-center">+{emphasis} dB</Badge>
+      </div>
+      <div className="flex items-center gap-3">
+        <span className="text-xs font-medium w-20 shrink-0">Background</span>
+        <Slider
+          value={[-reduction]}
+          onValueChange={(value) => onParamsChange({ reduction: -value[0] })}
+          max={24}
+          step={1}
+          className="w-full"
+        />
+        <Badge variant="secondary" className="w-16 shrink-0 justify-center">{reduction} dB</Badge>
+      </div>
+    </div>
+  )
+})
@@ -0,0 +1,57 @@
+import React, { useEffect } from 'react'
+
+export const Dialog = ({ open, onOpenChange, children, className = '', ...props }) => {
+  useEffect(() => {
+    if (!open) return
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onOpenChange(false)
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [open, onOpenChange])
+
+  if (!open) return null
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={() => onOpenChange(false)}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        className={`w-full max-w-md rounded-lg border p-6 shadow-lg space-y-4 ${className}`}
+        onClick={(event) => event.stopPropagation()}
+        {...props}
+      >
+        {children}
+      </div>
+    </div>
+  )
+}
+
+export const DialogTitle = ({ children, className = '', ...props }) => {
+  return (
+    <h2 className={`text-lg font-semibold leading-none tracking-tight ${className}`} {...props}>
+      {children}
+    </h2>
+  )
+}
+
+export const DialogDescription = ({ children, className = '', ...props }) => {
+  return (
+    <p className={`text-sm ${className}`} {...props}>
+      {children}
+    </p>
+  )
+}
+
+export const DialogFooter = ({ children, className = '', ...props }) => {
+  return (
+    <div className={`flex justify-end gap-2 ${className}`} {...props}>
+      {children}
+    </div>
+  )
+}
@@ -0,0 +1,28 @@
+import { useState, useEffect, useCallback } from 'react'
+import { listAudioDevices } from '../audio/devices'
+
+export const useAudioDevices = () => {
+  const [devices, setDevices] = useState({ inputs: [], outputs: [], hasLabels: false })
+
+  const refresh = useCallback(async () => {
+    try {
+      setDevices(await listAudioDevices())
+    } catch (err) {
+      console.error('Failed to list audio devices:', err)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+
+    const mediaDevices = navigator.mediaDevices
+    if (!mediaDevices?.addEventListener) return
+
+    mediaDevices.addEventListener('devicechange', refresh)
+    return () => {
+      mediaDevices.removeEventListener('devicechange', refresh)
+    }
+  }, [refresh])
+
+  return { ...devices, refresh }
+}
@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react'
+import { AmbientAudioEngine, ENGINE_EVENTS } from '../audio/engine'
+
+// Keeps one engine for the component's lifetime, mirrors its running state
+// into React and pushes `params` to the live graph whenever they change
+export const useAudioEngine = ({ params, onModuleMessage, onOutputFallback }) => {
+  const [engine] = useState(() => new AmbientAudioEngine())
+  const [isRunning, setIsRunning] = useState(false)
+  const [isDspAvailable, setIsDspAvailable] = useState(true)
+  const [interruption, setInterruption] = useState(null)
+
+  useEffect(() => {
+    const unsubscribe = [
+      engine.on(ENGINE_EVENTS.STATE, ({ running }) => {
+        setIsRunning(running)
+        setInterruption(null)
+      }),
+      engine.on(ENGINE_EVENTS.DSP_AVAILABILITY, ({ available }) => setIsDspAvailable(available)),
+      engine.on(ENGINE_EVENTS.INTERRUPTION, ({ reason }) => setInterruption(reason))
+    ]
+    return () => {
+      unsubscribe.forEach(off => off())
+      engine.stop()
+    }
+  }, [engine])
+
+  // Browsers often only let audio resume once the page is visible again
+  useEffect(() => {
+    if (!interruption) return
+
+    const retry = () => {
+      if (document.visibilityState === 'visible') {
+        engine.recover().catch(err => console.error('Failed to resume audio:', err))
+      }
+    }
+    document.addEventListener('visibilitychange', retry)
+    return () => {
+      document.removeEventListener('visibilitychange', retry)
+    }
+  }, [engine, interruption])
+
+  useEffect(() => engine.on(ENGINE_EVENTS.MODULE_MESSAGE, ({ id, data }) => onModuleMessage(id, data)), [engine, onModuleMessage])
+
+  useEffect(() => engine.on(ENGINE_EVENTS.OUTPUT_FALLBACK, ({ error }) => onOutputFallback(error)), [engine, onOutputFallback])
+
+  useEffect(() => {
+    engine.setParams(params)
+  }, [engine, params])
+
+  return { engine, isRunning, isDspAvailable, interruption }
+}
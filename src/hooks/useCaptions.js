@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { CAPTION_BACKENDS } from '../captions/backends'
+import { applyCaptionResult } from '../captions/transcript'
+
+const SESSION_GAP = 1000
+
+// Runs a caption session on the engine's processed audio. The transcript
+// outlives the session so it can be searched and exported afterwards;
+// starting again continues it and `clear` empties it. `onFinalText` sees each
+// finished phrase.
+export const useCaptions = ({ engine, isActive, backend, lang, onFinalText }) => {
+  const [segments, setSegments] = useState([])
+  const [isCaptioning, setIsCaptioning] = useState(false)
+  const [error, setError] = useState(null)
+  const sessionRef = useRef(null)
+  const segmentsRef = useRef(segments)
+  segmentsRef.current = segments
+  const onFinalTextRef = useRef(onFinalText)
+  onFinalTextRef.current = onFinalText
+
+  const stop = useCallback(() => {
+    const session = sessionRef.current
+    if (!session) return
+    sessionRef.current = null
+    session.recognizer.stop()
+    session.capture.release()
+    setIsCaptioning(false)
+  }, [])
+
+  const start = useCallback(() => {
+    if (sessionRef.current) return
+    const capture = engine.captureProcessedTrack()
+    if (!capture) return
+
+    setError(null)
+    // Later sessions pick up the timeline where the transcript left off
+    const last = segmentsRef.current[segmentsRef.current.length - 1]
+    const offset = last ? last.start + SESSION_GAP : 0
+
+    const recognizer = CAPTION_BACKENDS[backend].create({
+      track: capture.track,
+      lang,
+      onResult: (result) => {
+        setSegments(prev => applyCaptionResult(prev, { ...result, time: result.time + offset }))
+        if (result.isFinal) {
+          onFinalTextRef.current?.(result.text)
+        }
+      },
+      onError: (err) => {
+        console.error('Captioning failed:', err)
+        setError(err.message || 'Speech recognition stopped unexpectedly.')
+        stop()
+      }
+    })
+    sessionRef.current = { recognizer, capture }
+    recognizer.start()
+    setIsCaptioning(true)
+  }, [engine, backend, lang, stop])
+
+  const clear = useCallback(() => {
+    setSegments([])
+  }, [])
+
+  // The captured track dies with the audio graph
+  useEffect(() => {
+    if (!isActive) {
+      stop()
+    }
+  }, [isActive, stop])
+
+  useEffect(() => stop, [stop])
+
+  return { segments, isCaptioning, error, start, stop, clear }
+}
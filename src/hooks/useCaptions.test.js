@@ -0,0 +1,92 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, renderHook } from '@testing-library/react'
+import { MOCK_PHRASES } from '../captions/backends'
+import { useCaptions } from './useCaptions'
+
+// The mock backend finishes a phrase every 1500 ms
+const PHRASE_TIME = 1500
+
+const createEngine = () => {
+  const captures = []
+  return {
+    captures,
+    captureProcessedTrack: vi.fn(() => {
+      const capture = { track: {}, release: vi.fn() }
+      captures.push(capture)
+      return capture
+    })
+  }
+}
+
+const renderCaptions = (engine, props = {}) =>
+  renderHook(
+    ({ isActive, onFinalText }) => useCaptions({ engine, isActive, backend: 'mock', lang: 'en-US', onFinalText }),
+    { initialProps: { isActive: true, ...props } }
+  )
+
+describe('useCaptions', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('builds a transcript from the backend results', () => {
+    const onFinalText = vi.fn()
+    const { result } = renderCaptions(createEngine(), { onFinalText })
+
+    act(() => result.current.start())
+    expect(result.current.isCaptioning).toBe(true)
+
+    act(() => vi.advanceTimersByTime(PHRASE_TIME / 2))
+    expect(result.current.segments).toMatchObject([{ final: false }])
+
+    act(() => vi.advanceTimersByTime(PHRASE_TIME * 1.5))
+    expect(result.current.segments.map(segment => segment.text)).toEqual(MOCK_PHRASES.slice(0, 2))
+    expect(result.current.segments.every(segment => segment.final)).toBe(true)
+    expect(onFinalText.mock.calls).toEqual([[MOCK_PHRASES[0]], [MOCK_PHRASES[1]]])
+  })
+
+  it('captures the audio once however often start is called', () => {
+    const engine = createEngine()
+    const { result } = renderCaptions(engine)
+
+    act(() => result.current.start())
+    act(() => result.current.start())
+    expect(engine.captureProcessedTrack).toHaveBeenCalledTimes(1)
+  })
+
+  it('releases the capture when stopped', () => {
+    const engine = createEngine()
+    const { result } = renderCaptions(engine)
+
+    act(() => result.current.start())
+    act(() => result.current.stop())
+    expect(engine.captures[0].release).toHaveBeenCalledTimes(1)
+    expect(result.current.isCaptioning).toBe(false)
+
+    // Nothing more arrives once stopped
+    act(() => vi.advanceTimersByTime(PHRASE_TIME * 2))
+    expect(result.current.segments).toEqual([])
+  })
+
+  it('stops when listening stops and continues the timeline on restart', () => {
+    const engine = createEngine()
+    const { result, rerender } = renderCaptions(engine)
+
+    act(() => result.current.start())
+    act(() => vi.advanceTimersByTime(PHRASE_TIME))
+    rerender({ isActive: false })
+    expect(engine.captures[0].release).toHaveBeenCalledTimes(1)
+    expect(result.current.isCaptioning).toBe(false)
+
+    rerender({ isActive: true })
+    act(() => result.current.start())
+    act(() => vi.advanceTimersByTime(PHRASE_TIME))
+    const [first, second] = result.current.segments
+    expect(second.start).toBeGreaterThan(first.start)
+  })
+})
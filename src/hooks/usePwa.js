@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback } from 'react'
+import { activateUpdate, isServiceWorkerSupported, registerServiceWorker } from '../pwa/registration'
+
+// Long sessions are common, so look for a new version now and then rather
+// than only when the page loads
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000
+
+export const usePwa = () => {
+  const [installPrompt, setInstallPrompt] = useState(null)
+  const [waitingRegistration, setWaitingRegistration] = useState(null)
+
+  useEffect(() => {
+    // Keep the browser's own prompt back so it can be offered from a button
+    const capturePrompt = (event) => {
+      event.preventDefault()
+      setInstallPrompt(event)
+    }
+    const clearPrompt = () => setInstallPrompt(null)
+
+    window.addEventListener('beforeinstallprompt', capturePrompt)
+    window.addEventListener('appinstalled', clearPrompt)
+    return () => {
+      window.removeEventListener('beforeinstallprompt', capturePrompt)
+      window.removeEventListener('appinstalled', clearPrompt)
+    }
+  }, [])
+
+  useEffect(() => {
+    // The dev server has no sw.js; only builds are cached
+    if (!import.meta.env.PROD || !isServiceWorkerSupported()) return
+
+    let cancelled = false
+    let timer = null
+    registerServiceWorker(setWaitingRegistration)
+      .then(registration => {
+        if (cancelled) return
+        timer = setInterval(() => {
+          registration.update().catch(err => console.error('Failed to check for updates:', err))
+        }, UPDATE_CHECK_INTERVAL)
+      })
+      .catch(err => console.error('Failed to register service worker:', err))
+
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+    }
+  }, [])
+
+  const install = useCallback(async () => {
+    if (!installPrompt) return
+    installPrompt.prompt()
+    await installPrompt.userChoice
+    // A prompt can only be shown once
+    setInstallPrompt(null)
+  }, [installPrompt])
+
+  const applyUpdate = useCallback(() => {
+    if (waitingRegistration) activateUpdate(waitingRegistration)
+  }, [waitingRegistration])
+
+  return {
+    canInstall: installPrompt !== null,
+    install,
+    isUpdateAvailable: waitingRegistration !== null,
+    applyUpdate
+  }
+}
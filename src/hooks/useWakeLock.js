@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react'
+
+export const isWakeLockSupported = () => typeof navigator !== 'undefined' && 'wakeLock' in navigator
+
+// Keeps the screen on while `enabled`. Browsers drop the lock whenever the
+// page is hidden, so it's taken again each time the page comes back.
+// Returns whether a lock is currently held.
+export const useWakeLock = (enabled) => {
+  const [isLocked, setIsLocked] = useState(false)
+
+  useEffect(() => {
+    if (!enabled || !isWakeLockSupported()) return
+
+    let sentinel = null
+    let cancelled = false
+    const acquire = async () => {
+      if (document.visibilityState !== 'visible' || (sentinel && !sentinel.released)) return
+      try {
+        const lock = await navigator.wakeLock.request('screen')
+        if (cancelled) {
+          lock.release()
+          return
+        }
+        sentinel = lock
+        setIsLocked(true)
+        lock.addEventListener('release', () => {
+          if (!cancelled) setIsLocked(false)
+        })
+      } catch (err) {
+        console.error('Failed to keep the screen on:', err)
+      }
+    }
+
+    acquire()
+    document.addEventListener('visibilitychange', acquire)
+    return () => {
+      cancelled = true
+      document.removeEventListener('visibilitychange', acquire)
+      sentinel?.release()
+      setIsLocked(false)
+    }
+  }, [enabled])
+
+  return isLocked
+}
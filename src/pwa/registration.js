@@ -0,0 +1,40 @@
+// Page side of the service worker: registration, handing over to an updated
+// worker, and notifications (which some mobile browsers only allow through a
+// registration)
+
+const SERVICE_WORKER_URL = '/sw.js'
+
+export const isServiceWorkerSupported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator
+
+// Calls onUpdate(registration) once a new worker has installed and is waiting
+// behind the one controlling the page. The very first install has nothing to
+// take over from, so it doesn't count.
+export const registerServiceWorker = async (onUpdate) => {
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL)
+  const watch = (worker) => {
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) onUpdate(registration)
+    })
+  }
+
+  if (registration.waiting && navigator.serviceWorker.controller) onUpdate(registration)
+  watch(registration.installing)
+  registration.addEventListener('updatefound', () => watch(registration.installing))
+  return registration
+}
+
+// Lets the waiting worker take over and reloads once it has, so the page and
+// the cache it reads from always belong to the same build
+export const activateUpdate = (registration) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true })
+  registration.waiting?.postMessage({ type: 'SKIP_WAITING' })
+}
+
+export const showNotification = async (title, options) => {
+  const registration = isServiceWorkerSupported() ? await navigator.serviceWorker.getRegistration() : undefined
+  if (registration) {
+    await registration.showNotification(title, options)
+  } else {
+    new Notification(title, options)
+  }
+}
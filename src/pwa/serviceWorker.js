@@ -0,0 +1,48 @@
+// Service worker template. The build fills in the file list and version
+// (see vite.config.js) and emits it as sw.js. Every build gets its own cache,
+// and a new worker waits until the page asks it to take over, so an update
+// never swaps files out from under a running session.
+
+const PRECACHE_FILES = self.__PRECACHE_FILES
+const CACHE_PREFIX = 'ambient-sound-'
+const CACHE_NAME = `${CACHE_PREFIX}${self.__CACHE_VERSION}`
+
+const toUrl = (file) => new URL(file, self.registration.scope).href
+const INDEX_URL = toUrl('index.html')
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_FILES.map(toUrl))))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()))
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting()
+  }
+})
+
+// Cache first: precached files are all from this build, and anything else
+// (e.g. a media file picked by the user) goes to the network
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  const key = request.mode === 'navigate' ? INDEX_URL : request
+  event.respondWith(caches.open(CACHE_NAME)
+    .then(cache => cache.match(key))
+    .then(cached => cached || fetch(request)))
+})
+
+// Alert notifications bring the app back to the front
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  event.waitUntil(self.clients.matchAll({ type: 'window' }).then(windows =>
+    windows.length ? windows[0].focus() : self.clients.openWindow(self.registration.scope)))
+})
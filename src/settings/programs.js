@@ -0,0 +1,118 @@
+import { createDefaultEqGains, EQ_BANDS } from '../audio/equalizer'
+import { createDefaultEarSettings } from '../audio/stereo'
+import { WDRC_PRESETS, createDefaultCompressorSettings } from '../audio/compressor'
+import { createDefaultDspSettings } from '../audio/dsp'
+import { createDefaultFocusSettings } from '../audio/beamformer'
+
+// Every setting a listening program captures. Values are stored plainly
+// (numbers rather than slider arrays) so programs serialize cleanly.
+export const createDefaultSettings = () => ({
+  micGain: 80,
+  outputVolume: 60,
+  echoCancel: true,
+  noiseSuppress: true,
+  autoGainControl: false,
+  feedbackSuppress: true,
+  directionalFocus: createDefaultFocusSettings(),
+  latencyMode: 'interactive',
+  sampleRate: 44100,
+  eqGains: { left: createDefaultEqGains(), right: createDefaultEqGains() },
+  earSettings: createDefaultEarSettings(),
+  balance: 0,
+  compressorSettings: createDefaultCompressorSettings(),
+  dspSettings: createDefaultDspSettings()
+})
+
+// Builds an EQ curve from a sparse { frequency: gain } map
+const eqCurve = (gainsByFrequency) => {
+  const gains = EQ_BANDS.map(frequency => gainsByFrequency[frequency] ?? 0)
+  return { left: gains, right: [...gains] }
+}
+
+const compressorPreset = (preset) => ({
+  preset,
+  bands: WDRC_PRESETS[preset].bands.map(band => ({ ...band }))
+})
+
+const withModules = (enabledTypes) => {
+  const dspSettings = createDefaultDspSettings()
+  enabledTypes.forEach(type => {
+    dspSettings[type].enabled = true
+  })
+  return dspSettings
+}
+
+const BUILT_IN_OVERRIDES = [
+  {
+    id: 'quiet',
+    name: 'Quiet',
+    settings: { micGain: 70, compressorSettings: compressorPreset('gentle') }
+  },
+  {
+    id: 'restaurant',
+    name: 'Restaurant',
+    settings: {
+      noiseSuppress: true,
+      eqGains: eqCurve({ 250: -4, 500: -2, 1000: 2, 2000: 5, 3000: 5, 4000: 3 }),
+      compressorSettings: compressorPreset('strong'),
+      dspSettings: withModules(['expander', 'limiter'])
+    }
+  },
+  {
+    id: 'tv',
+    name: 'TV',
+    settings: {
+      echoCancel: false,
+      noiseSuppress: false,
+      eqGains: eqCurve({ 1000: 2, 2000: 4, 3000: 4, 4000: 2 }),
+      compressorSettings: compressorPreset('speech')
+    }
+  },
+  {
+    id: 'outdoors',
+    name: 'Outdoors',
+    settings: {
+      noiseSuppress: true,
+      eqGains: eqCurve({ 250: -6, 500: -3 }),
+      compressorSettings: compressorPreset('strong'),
+      dspSettings: withModules(['limiter'])
+    }
+  }
+]
+
+export const createBuiltInPrograms = () =>
+  BUILT_IN_OVERRIDES.map(({ id, name, settings }) => ({
+    id,
+    name,
+    settings: { ...createDefaultSettings(), ...settings }
+  }))
+
+// Transient module state (an in-progress noise capture) never belongs in a
+// saved program
+export const snapshotSettings = (settings) => ({
+  ...settings,
+  dspSettings: Object.fromEntries(
+    Object.entries(settings.dspSettings).map(([type, module]) => [
+      type,
+      { ...module, params: { ...module.params, ...('learning' in module.params ? { learning: false } : {}) } }
+    ])
+  )
+})
+
+const createProgramId = () => `program-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+
+export const createProgram = (name, settings) => ({
+  id: createProgramId(),
+  name: name.trim() || 'Untitled',
+  settings: snapshotSettings(settings)
+})
+
+export const renameProgram = (programs, id, name) =>
+  programs.map(program => (program.id === id ? { ...program, name: name.trim() || program.name } : program))
+
+export const updateProgramSettings = (programs, id, settings) =>
+  programs.map(program => (program.id === id ? { ...program, settings: snapshotSettings(settings) } : program))
+
+// The last program can't be removed so there is always something to switch to
+export const deleteProgram = (programs, id) =>
+  programs.length > 1 ? programs.filter(program => program.id !== id) : programs
@@ -0,0 +1,63 @@
+// Recordings are too large for localStorage, so they live in IndexedDB.
+// Each record holds its metadata plus the raw Float32Array channels.
+
+const DB_NAME = 'ambient-sound-assistant'
+const DB_VERSION = 1
+const STORE = 'recordings'
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE, { keyPath: 'id' })
+  }
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase()
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode)
+      const request = operation(transaction.objectStore(STORE))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  } finally {
+    db.close()
+  }
+}
+
+export const isRecordingStorageSupported = () =>
+  typeof window !== 'undefined' && Boolean(window.indexedDB)
+
+const createRecordingId = () => `recording-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+
+export const createRecording = ({ name, sampleRate, processed, raw }) => {
+  const createdAt = Date.now()
+  return {
+    id: createRecordingId(),
+    name: name ?? new Date(createdAt).toLocaleString(),
+    createdAt,
+    sampleRate,
+    duration: processed[0].length / sampleRate,
+    processed,
+    raw: raw ?? null
+  }
+}
+
+export const listRecordings = async () => {
+  try {
+    const recordings = await runTransaction('readonly', store => store.getAll())
+    return recordings.sort((a, b) => b.createdAt - a.createdAt)
+  } catch (err) {
+    console.error('Failed to load recordings:', err)
+    return []
+  }
+}
+
+export const saveRecording = (recording) =>
+  runTransaction('readwrite', store => store.put(recording))
+
+export const deleteRecording = (id) =>
+  runTransaction('readwrite', store => store.delete(id))
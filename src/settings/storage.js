@@ -0,0 +1,137 @@
+import { createDefaultHearingProfile } from '../audio/fitting'
+import { DEFAULT_DEVICE_ID } from '../audio/devices'
+import { MAX_OUTPUT_LIMITS, createDefaultSafetySettings } from '../audio/exposure'
+import { createDefaultAlertSettings } from '../audio/soundEvents'
+import { createBuiltInPrograms, createDefaultSettings, snapshotSettings } from './programs'
+
+const STORAGE_KEY = 'ambient-sound-assistant'
+
+// Bump when the saved shape changes and add a migration for the old version
+export const SCHEMA_VERSION = 1
+
+// MIGRATIONS[n] upgrades data saved at version n to version n + 1
+const MIGRATIONS = {}
+
+export const createDefaultState = () => ({
+  isDarkMode: true,
+  settings: createDefaultSettings(),
+  hearingProfile: createDefaultHearingProfile(),
+  programs: createBuiltInPrograms(),
+  activeProgramId: null,
+  devices: { inputId: DEFAULT_DEVICE_ID, outputId: DEFAULT_DEVICE_ID },
+  // dBFS -> dB SPL offsets keyed by input device id
+  calibrations: {},
+  safety: createDefaultSafetySettings(),
+  // Fraction of the daily noise allowance used, keyed by local date
+  doseHistory: {},
+  alerts: createDefaultAlertSettings(),
+  // Hold a screen wake lock while listening, since phones stop audio input
+  // when the screen locks
+  keepAwake: true
+})
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Fills anything missing from saved data with defaults so fields added in a
+// later release don't come back undefined. Arrays are only kept when their
+// length still matches (e.g. the equalizer gained or lost a band), and
+// values of the wrong type fall back to the default.
+export const mergeWithDefaults = (defaults, saved) => {
+  if (saved === undefined) return defaults
+  if (Array.isArray(defaults)) {
+    return Array.isArray(saved) && saved.length === defaults.length
+      ? saved.map((item, i) => mergeWithDefaults(defaults[i], item))
+      : defaults
+  }
+  if (isPlainObject(defaults)) {
+    if (!isPlainObject(saved)) return defaults
+    const merged = { ...saved }
+    Object.keys(defaults).forEach(key => {
+      merged[key] = mergeWithDefaults(defaults[key], saved[key])
+    })
+    return merged
+  }
+  // null defaults (e.g. an unset noise profile) accept whatever was saved
+  if (defaults === null) return saved
+  return typeof saved === typeof defaults ? saved : defaults
+}
+
+export const migrate = (data) => {
+  let migrated = data
+  let version = Number.isInteger(data.version) ? data.version : 0
+  while (version < SCHEMA_VERSION) {
+    const upgrade = MIGRATIONS[version]
+    if (upgrade) {
+      migrated = upgrade(migrated)
+    }
+    version++
+  }
+  return { ...migrated, version }
+}
+
+// The output ceiling protects hearing, so a saved value outside the range
+// the UI allows is pulled back into it
+const restoreSafety = (defaults, saved) => {
+  const safety = mergeWithDefaults(defaults, saved)
+  const maxOutputDb = Number.isFinite(safety.maxOutputDb) ? safety.maxOutputDb : defaults.maxOutputDb
+  return {
+    ...safety,
+    maxOutputDb: Math.min(MAX_OUTPUT_LIMITS.max, Math.max(MAX_OUTPUT_LIMITS.min, maxOutputDb))
+  }
+}
+
+export const restoreState = (data) => {
+  const defaults = createDefaultState()
+  const state = migrate(data)
+  const programs = Array.isArray(state.programs)
+    ? state.programs
+      .filter(program => isPlainObject(program) && typeof program.id === 'string')
+      .map(program => ({
+        id: program.id,
+        name: typeof program.name === 'string' ? program.name : 'Untitled',
+        settings: mergeWithDefaults(createDefaultSettings(), program.settings)
+      }))
+    : defaults.programs
+
+  return {
+    isDarkMode: mergeWithDefaults(defaults.isDarkMode, state.isDarkMode),
+    settings: mergeWithDefaults(defaults.settings, state.settings),
+    hearingProfile: mergeWithDefaults(defaults.hearingProfile, state.hearingProfile),
+    programs: programs.length ? programs : defaults.programs,
+    activeProgramId: programs.some(program => program.id === state.activeProgramId)
+      ? state.activeProgramId
+      : null,
+    devices: mergeWithDefaults(defaults.devices, state.devices),
+    calibrations: mergeWithDefaults(defaults.calibrations, state.calibrations),
+    safety: restoreSafety(defaults.safety, state.safety),
+    doseHistory: mergeWithDefaults(defaults.doseHistory, state.doseHistory),
+    alerts: mergeWithDefaults(defaults.alerts, state.alerts),
+    keepAwake: mergeWithDefaults(defaults.keepAwake, state.keepAwake)
+  }
+}
+
+export const loadState = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY)
+    if (!raw) return createDefaultState()
+    const data = JSON.parse(raw)
+    if (!isPlainObject(data)) return createDefaultState()
+    return restoreState(data)
+  } catch (err) {
+    console.error('Failed to load saved settings:', err)
+    return createDefaultState()
+  }
+}
+
+export const saveState = (state) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: SCHEMA_VERSION,
+      ...state,
+      settings: snapshotSettings(state.settings)
+    }))
+  } catch (err) {
+    console.error('Failed to save settings:', err)
+  }
+}
@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest'
+import { MAX_OUTPUT_LIMITS } from '../audio/exposure'
+import { createDefaultState, restoreState } from './storage'
+
+describe('restoreState', () => {
+  it('fills in defaults for missing fields', () => {
+    expect(restoreState({}).safety).toEqual(createDefaultState().safety)
+  })
+
+  it('clamps a saved output ceiling to the allowed range', () => {
+    expect(restoreState({ safety: { maxOutputDb: 20 } }).safety.maxOutputDb).toBe(MAX_OUTPUT_LIMITS.max)
+    expect(restoreState({ safety: { maxOutputDb: -90 } }).safety.maxOutputDb).toBe(MAX_OUTPUT_LIMITS.min)
+    expect(restoreState({ safety: { maxOutputDb: -12 } }).safety.maxOutputDb).toBe(-12)
+  })
+
+  it('falls back to the default ceiling when the saved one is not a number', () => {
+    expect(restoreState({ safety: { maxOutputDb: null } }).safety.maxOutputDb)
+      .toBe(createDefaultState().safety.maxOutputDb)
+  })
+})
@@ -1,10 +1,38 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import path from 'path'
+import fs from 'fs'
+import { createHash } from 'crypto'
+
+const publicDir = path.resolve(__dirname, 'public')
+
+// Emits sw.js from src/pwa/serviceWorker.js with this build's output baked
+// in, so the worker precaches exactly the files the build produced. The
+// version changes whenever any of them does, which is what triggers an
+// update in browsers that already have the app.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    // public/index.html is a leftover template; the built index.html wins
+    const publicFiles = fs.readdirSync(publicDir).filter(file => file !== 'index.html')
+    const files = [...new Set([...Object.keys(bundle), 'index.html', ...publicFiles])]
+
+    const hash = createHash('sha256')
+    Object.values(bundle).forEach(output => hash.update(output.type === 'chunk' ? output.code : output.source))
+    publicFiles.forEach(file => hash.update(fs.readFileSync(path.join(publicDir, file))))
+
+    const source = fs.readFileSync(path.resolve(__dirname, 'src/pwa/serviceWorker.js'), 'utf8')
+      .replace('self.__PRECACHE_FILES', JSON.stringify(files))
+      .replace('self.__CACHE_VERSION', JSON.stringify(hash.digest('hex').slice(0, 12)))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  }
+})
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   root: '.', 
   build: {
     outDir: 'dist',